@@ -0,0 +1,285 @@
+/********************************************************************
+ * App shell: client-side navigation around the Delphi embed
+ * ------------------------------------------------------------------
+ * A full page load destroys #delphi-frame and the conversation in
+ * it. On the embed page, the shell turns the sidebar links into
+ * client-side navigations:
+ *
+ * - the target page is fetched, its .page-canvas swapped in next to
+ *   the embed's, its <dv-banner> attributes, title and missing
+ *   scripts taken over, then "dv:page-ready" lets page modules mount
+ *   (onDemandVoxPageReady, layout.js)
+ * - history.pushState + popstate; the active nav link follows
+ * - the embed's section ([data-dv-shell-embed]) is never moved (a
+ *   moved iframe reloads): on other routes it's docked as a side
+ *   panel with CSS, collapsible, and the resize engine sizes the
+ *   iframe to the panel (data-dv-scroll-container, delphi.js)
+ * - anything unexpected (fetch error, no .page-canvas) falls back
+ *   to a normal page load
+ *
+ * Links handled: the sidebar's, and any a[data-dv-nav], same origin,
+ * plain left click, no target / download.
+ *
+ * API:
+ *   DemandVox.shell.navigate(url)
+ *   DemandVox.shell.showChat() / hideChat()   // docked panel
+ *   DemandVox.shell.getRoute()
+ *
+ * Requires config.js + logger.js + i18n.js + layout.js + delphi.js
+ * (loaded before this file).
+ ********************************************************************/
+const DV_SHELL_EMBED_SELECTOR = "[data-dv-shell-embed]";
+const DV_SHELL_PAGE_ATTR = "data-dv-shell-page";
+const DV_SHELL_DOCKED_CLASS = "dv-shell-docked";
+const DV_SHELL_COLLAPSED_CLASS = "dv-shell-chat-collapsed";
+const DV_SHELL_COLLAPSED_KEY = "dv:shell:chat-collapsed";
+const DV_SHELL_BANNER_ATTRS = ["heading", "heading-key", "tagline", "tagline-key", "note", "note-key", "badges"];
+
+function isDemandVoxShellLink(link, event) {
+  if (!link || event.defaultPrevented || event.button !== 0) return false;
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+  if (link.target && link.target !== "_self") return false;
+  if (link.hasAttribute("download")) return false;
+
+  return link.origin === window.location.origin && Boolean(link.closest("dv-sidebar, [data-dv-nav]"));
+}
+
+function readDemandVoxShellCollapsed() {
+  try {
+    const stored = localStorage.getItem(DV_SHELL_COLLAPSED_KEY);
+    if (stored !== null) return stored === "1";
+  } catch {
+    // fall through
+  }
+  // Small screens: the panel would cover the page, start closed
+  return window.matchMedia?.("(max-width: 768px)").matches ?? false;
+}
+
+/**
+ * Loads the given scripts in order, skipping those already on the
+ * page (classic scripts declare globals: running one twice throws).
+ */
+function loadDemandVoxShellScripts(urls) {
+  const loaded = new Set([...document.scripts].map((script) => script.src).filter(Boolean));
+
+  return urls
+    .filter((url) => !loaded.has(url))
+    .reduce(
+      (chain, url) =>
+        chain.then(
+          () =>
+            new Promise((resolve, reject) => {
+              const script = document.createElement("script");
+              script.src = url;
+              script.onload = resolve;
+              script.onerror = () => reject(new Error(`could not load ${url}`));
+              document.head.appendChild(script);
+            })
+        ),
+      Promise.resolve()
+    );
+}
+
+function createDemandVoxShell(embedSection) {
+  const embedPath = normalizeLayoutPath(window.location.pathname);
+  const embedTitle = document.title;
+  const banner = document.querySelector("dv-banner");
+  const embedBannerAttrs = Object.fromEntries(DV_SHELL_BANNER_ATTRS.map((name) => [name, banner?.getAttribute(name) ?? null]));
+
+  let route = embedPath;
+  let navigationId = 0;
+  let collapsed = readDemandVoxShellCollapsed();
+
+  // Fetched pages, by URL without the query (same markup)
+  const pageCache = new Map();
+
+  if (!embedSection.id) embedSection.id = "dv-shell-embed";
+
+  const chatToggle = document.createElement("button");
+  chatToggle.type = "button";
+  chatToggle.className = "dv-shell-chat-toggle";
+  chatToggle.setAttribute("aria-controls", embedSection.id);
+  chatToggle.hidden = true;
+  chatToggle.addEventListener("click", () => setCollapsed(!collapsed));
+  embedSection.before(chatToggle);
+
+  const getCurrentPage = () => document.querySelector(`[${DV_SHELL_PAGE_ATTR}]`);
+
+  function setBannerAttrs(attrs) {
+    if (!banner) return;
+    for (const name of DV_SHELL_BANNER_ATTRS) {
+      if (attrs[name] === null || attrs[name] === undefined) banner.removeAttribute(name);
+      else banner.setAttribute(name, attrs[name]);
+    }
+  }
+
+  function setCollapsed(value) {
+    collapsed = value;
+    try {
+      localStorage.setItem(DV_SHELL_COLLAPSED_KEY, value ? "1" : "0");
+    } catch {
+      // session-only preference
+    }
+    syncDock();
+  }
+
+  // The embed's section: in the page on its route, a side panel elsewhere
+  function syncDock() {
+    const docked = route !== embedPath;
+
+    document.body.classList.toggle(DV_SHELL_DOCKED_CLASS, docked);
+    document.body.classList.toggle(DV_SHELL_COLLAPSED_CLASS, docked && collapsed);
+
+    if (docked) embedSection.setAttribute(DELPHI_SCROLL_CONTAINER_ATTR, "");
+    else embedSection.removeAttribute(DELPHI_SCROLL_CONTAINER_ATTR);
+
+    // Collapsed: off-screen but still mounted, out of the Tab order
+    embedSection.inert = docked && collapsed;
+
+    chatToggle.hidden = !docked;
+    updateToggleLabel();
+    chatToggle.setAttribute("aria-expanded", String(docked && !collapsed));
+
+    // New container size / min height for the resize engine
+    window.DemandVox.delphi.resize();
+  }
+
+  function updateToggleLabel() {
+    chatToggle.textContent = window.DemandVox.i18n.t(collapsed ? "shell.showChat" : "shell.hideChat");
+  }
+
+  function fetchPage(url) {
+    const key = url.split("?")[0];
+    if (!pageCache.has(key)) {
+      pageCache.set(
+        key,
+        fetch(url, { headers: { Accept: "text/html" } })
+          .then((res) => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.text();
+          })
+          .then((html) => new DOMParser().parseFromString(html, "text/html"))
+          .catch((e) => {
+            pageCache.delete(key);
+            throw e;
+          })
+      );
+    }
+    return pageCache.get(key);
+  }
+
+  function focusPage(page) {
+    const target = page.querySelector("h1") || page;
+    if (!target.hasAttribute("tabindex")) target.setAttribute("tabindex", "-1");
+    target.focus({ preventScroll: true });
+  }
+
+  function showEmbedPage() {
+    getCurrentPage()?.remove();
+    document.title = embedTitle;
+    setBannerAttrs(embedBannerAttrs);
+  }
+
+  async function showPage(url, id, commitUrl) {
+    const doc = await fetchPage(url);
+    if (id !== navigationId) return false;
+
+    const canvas = doc.querySelector(".page-canvas");
+    if (!canvas) throw new Error("no .page-canvas");
+
+    const scripts = [...doc.querySelectorAll("script[src]")].map((script) => new URL(script.getAttribute("src"), url).href);
+    await loadDemandVoxShellScripts(scripts);
+    if (id !== navigationId) return false;
+
+    const page = document.importNode(canvas, true);
+    page.setAttribute(DV_SHELL_PAGE_ATTR, "");
+
+    const current = getCurrentPage();
+    if (current) current.replaceWith(page);
+    else embedSection.after(page);
+
+    document.title = doc.title;
+    const pageBanner = doc.querySelector("dv-banner");
+    setBannerAttrs(Object.fromEntries(DV_SHELL_BANNER_ATTRS.map((name) => [name, pageBanner?.getAttribute(name) ?? null])));
+
+    // Before "dv:page-ready": page modules read their state from the URL (?vendor=, tool inputs)
+    commitUrl();
+    document.dispatchEvent(new CustomEvent(DV_PAGE_READY_EVENT, { detail: { url } }));
+    focusPage(page);
+    return true;
+  }
+
+  /**
+   * push: false for popstate (the history entry is already there).
+   */
+  async function navigate(href, { push = true } = {}) {
+    const url = new URL(href, window.location.href);
+    const target = normalizeLayoutPath(url.pathname);
+    const id = ++navigationId;
+
+    // Back to the embed: keep the Delphi view in the URL (delphi.js history sync)
+    if (target === embedPath && push) {
+      const view = getDelphiViewForMode(window.DemandVox.delphi.getMode());
+      if (view && view !== "overview" && !url.searchParams.has(DELPHI_VIEW_PARAM)) url.searchParams.set(DELPHI_VIEW_PARAM, view);
+    }
+
+    const commitUrl = () => {
+      if (push) history.pushState({ ...(history.state || {}), dvShellRoute: target }, "", url.href);
+    };
+
+    try {
+      if (target === embedPath) {
+        showEmbedPage();
+        commitUrl();
+      } else if (!(await showPage(url.href, id, commitUrl))) return;
+    } catch (e) {
+      dvWarn(`[shell] ${url.pathname} can't be shown in place (${e.message}), loading it`);
+      window.location.href = url.href;
+      return;
+    }
+
+    if (push) window.scrollTo(0, 0);
+
+    route = target;
+    syncDock();
+    window.DemandVox.layout.updateActiveRoute(url.pathname);
+    dvLog("[shell] route:", route);
+  }
+
+  document.addEventListener("click", (e) => {
+    const link = e.target.closest?.("a[href]");
+    if (!isDemandVoxShellLink(link, e)) return;
+
+    // Same page, other query (e.g. ?view=): not a route change
+    if (normalizeLayoutPath(link.pathname) === route && link.search === window.location.search) {
+      e.preventDefault();
+      return;
+    }
+
+    e.preventDefault();
+    navigate(link.href);
+  });
+
+  // Query-only history entries (Delphi views, filters) belong to the page
+  window.addEventListener("popstate", () => {
+    if (normalizeLayoutPath(window.location.pathname) !== route) navigate(window.location.href, { push: false });
+  });
+
+  document.addEventListener(DV_I18N_CHANGE_EVENT, updateToggleLabel);
+
+  syncDock();
+
+  return {
+    navigate: (href) => navigate(href),
+    showChat: () => route !== embedPath && setCollapsed(false),
+    hideChat: () => route !== embedPath && setCollapsed(true),
+    getRoute: () => route,
+  };
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const embedSection = document.querySelector(DV_SHELL_EMBED_SELECTOR);
+  if (!embedSection) return;
+
+  window.DemandVox.shell = createDemandVoxShell(embedSection);
+});
@@ -0,0 +1,44 @@
+/********************************************************************
+ * Hand-off into the assistant's chat
+ * ------------------------------------------------------------------
+ * Shared by the pages around the embed (vendor directory, tools):
+ * opens the Delphi chat with a question prefilled, for the visitor
+ * to review and send.
+ *
+ * - embed on this page (or docked by the app shell):
+ *   DemandVox.delphi.prefill() (composer bridge)
+ * - anywhere else: config.chatPageUrl?view=chat&q=... (the embed
+ *   page's deep link prefills the composer)
+ *
+ *   openDelphiChatWithQuestion("Tell me about Bombora")
+ *
+ * Requires config.js + logger.js (loaded before this file).
+ ********************************************************************/
+// Same cap as the ?q= deep link (DELPHI_QUESTION_MAX_LENGTH in delphi.js)
+const DV_HANDOFF_QUESTION_MAX_LENGTH = 500;
+
+function buildDelphiChatHandoffUrl(question) {
+  const url = new URL(window.DemandVox.config.chatPageUrl, window.location.href);
+  url.searchParams.set("view", "chat");
+  url.searchParams.set("q", question);
+  return url.toString();
+}
+
+function openDelphiChatWithQuestion(question) {
+  const text = String(question || "").trim();
+  if (!text) return;
+
+  if (text.length > DV_HANDOFF_QUESTION_MAX_LENGTH) {
+    dvWarn(`[handoff] Question longer than ${DV_HANDOFF_QUESTION_MAX_LENGTH} characters, it will be cut`);
+  }
+
+  const delphi = window.DemandVox.delphi;
+  if (delphi?.getIframe?.()) {
+    // App shell on another route: open the docked chat first
+    window.DemandVox.shell?.showChat();
+    delphi.prefill(text);
+    return;
+  }
+
+  window.location.href = buildDelphiChatHandoffUrl(text.slice(0, DV_HANDOFF_QUESTION_MAX_LENGTH));
+}
@@ -0,0 +1,266 @@
+/********************************************************************
+ * DemandVox configuration + environment
+ * ------------------------------------------------------------------
+ * Single source of truth for environment detection and tunables.
+ * Load it first (in <head>): the Delphi page bootstrap and delphi.js
+ * both read window.DemandVox.config / window.DemandVox.env.
+ *
+ * Precedence (last wins):
+ *   1. DEMANDVOX_CONFIG_DEFAULTS
+ *   2. DEMANDVOX_ENV_PROFILES[env]
+ *   3. window.DemandVoxConfig = { ...keys }          (set before this file)
+ *   4. window.DemandVoxConfig.profiles[env]
+ *   5. data-* attributes on this script tag, e.g.
+ *      <script src="assets/js/config.js" data-intro-title="Hello"></script>
+ *
+ * Every value is validated against DEMANDVOX_CONFIG_SCHEMA. Invalid or
+ * unknown keys are reported in one console error and fall back to the
+ * value from the previous layer, so a typo never breaks the page.
+ ********************************************************************/
+
+/********************************************************************
+ * Environment detection
+ * ------------------------------------------------------------------
+ * - preview:    hostname endsWith(".pages.dev")
+ * - local:      localhost / 127.0.0.1 / file://
+ * - production: everything else
+ ********************************************************************/
+function detectDemandVoxEnvironment() {
+  try {
+    const { hostname, protocol } = window.location;
+
+    if (hostname.endsWith(".pages.dev")) return "preview";
+    if (protocol === "file:" || hostname === "localhost" || hostname === "127.0.0.1") return "local";
+  } catch {
+    // fall through
+  }
+  return "production";
+}
+
+/********************************************************************
+ * Defaults + per-environment profiles
+ ********************************************************************/
+const DEMANDVOX_CONFIG_DEFAULTS = {
+  debug: false,
+  delphiId: "74a48d08-8808-4778-b367-a106b5a371e1",
+  iframeSelector: "#delphi-frame",
+  introTitle: "", // empty = i18n.js "delphi.introTitle" ("Hi, I'm Michael" in the visitor's language)
+  assistantName: "Michael",
+  theme: "demandvox",
+  healthWarning: false,
+  logLevel: "error",
+  logBufferSize: 200,
+  logCollectorUrl: "", // empty = no remote reporting
+  logSampleRate: 1,
+  logRemoteLevel: "warn",
+  minIframeViewportRatio: 0.87,
+  resizeIntervalMs: 1500,
+  iframeWaitTimeoutMs: 15000,
+  iframeWaitIntervalMs: 200,
+
+  // Embed retry + fallback (delphi-embed.js)
+  embedRetries: 3,
+  embedRetryDelayMs: 1000,
+  // Empty = i18n.js "embed.fallbackTitle" / "embed.fallbackMessage"
+  fallbackTitle: "",
+  fallbackMessage: "",
+  fallbackBookingUrl: "",
+  fallbackEmail: "",
+  fallbackFormUrl: "", // POST { email, message, page } as JSON; empty = mailto: fallbackEmail
+  fallbackHelpUrl: "./help.html",
+
+  // Assistant message post-processing (delphi-messages.js)
+  vendorDataUrl: "assets/data/vendors.json",
+  vendorProfileUrl: "./find-vendors.html?vendor={slug}",
+
+  // Page with the embed, for "Ask about this vendor" from other pages (vendor-directory.js)
+  chatPageUrl: "./",
+
+  // Community feedback board (feedback-board.js)
+  feedbackAdapter: "local", // "local" (this browser only) | "rest" (feedbackApiUrl)
+  feedbackApiUrl: "",
+  feedbackRateLimit: 3, // submissions per browser...
+  feedbackRateWindowMs: 600000, // ...per window
+
+  // Conversation analytics (delphi-analytics.js)
+  analyticsConsent: "opt-in", // "opt-in" (wait for the visitor) | "granted" | "denied"
+  analyticsSinks: "", // comma-separated: console, beacon, dataLayer
+  analyticsBeaconUrl: "",
+
+  // Host copy (i18n.js): used when neither ?lang=, a stored choice nor the browser languages match
+  defaultLocale: "en",
+};
+
+const DEMANDVOX_ENV_PROFILES = {
+  production: {},
+  preview: {
+    debug: true,
+    logLevel: "debug",
+    healthWarning: true,
+    delphiId: "03c5d73c-88e7-4d13-a9a9-5d4b0ad909a3",
+  },
+  local: {
+    debug: true,
+    logLevel: "debug",
+    healthWarning: true,
+    delphiId: "03c5d73c-88e7-4d13-a9a9-5d4b0ad909a3",
+    analyticsSinks: "console",
+  },
+};
+
+/********************************************************************
+ * Schema
+ ********************************************************************/
+const DEMANDVOX_CONFIG_SCHEMA = {
+  env: { type: "string", oneOf: Object.keys(DEMANDVOX_ENV_PROFILES) },
+  debug: { type: "boolean" },
+  delphiId: { type: "string", pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  iframeSelector: { type: "string", minLength: 1 },
+  introTitle: { type: "string" },
+  assistantName: { type: "string", minLength: 1 },
+  theme: { type: "string", minLength: 1 },
+  healthWarning: { type: "boolean" },
+  logLevel: { type: "string", oneOf: ["debug", "info", "warn", "error", "silent"] },
+  logBufferSize: { type: "number", min: 10, max: 5000 },
+  logCollectorUrl: { type: "string", pattern: /^$|^https:\/\/\S+$|^\/\S*$/ },
+  logSampleRate: { type: "number", min: 0, max: 1 },
+  logRemoteLevel: { type: "string", oneOf: ["debug", "info", "warn", "error"] },
+  minIframeViewportRatio: { type: "number", min: 0.1, max: 1 },
+  resizeIntervalMs: { type: "number", min: 100 },
+  iframeWaitTimeoutMs: { type: "number", min: 1000 },
+  iframeWaitIntervalMs: { type: "number", min: 16 },
+  embedRetries: { type: "number", min: 0, max: 10 },
+  embedRetryDelayMs: { type: "number", min: 100 },
+  fallbackTitle: { type: "string" },
+  fallbackMessage: { type: "string" },
+  fallbackBookingUrl: { type: "string", pattern: /^$|^https:\/\/\S+$/ },
+  fallbackEmail: { type: "string", pattern: /^$|^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  fallbackFormUrl: { type: "string", pattern: /^$|^https:\/\/\S+$|^\/\S*$/ },
+  fallbackHelpUrl: { type: "string", pattern: /^$|^https:\/\/\S+$|^\.?\/\S*$/ },
+  vendorDataUrl: { type: "string", minLength: 1 },
+  vendorProfileUrl: { type: "string", pattern: /\{slug\}/ },
+  chatPageUrl: { type: "string", pattern: /^https:\/\/\S+$|^\.?\/\S*$/ },
+  feedbackAdapter: { type: "string", oneOf: ["local", "rest"] },
+  // http:// only for the local mock server (dev/mock-server.js)
+  feedbackApiUrl: { type: "string", pattern: /^$|^https:\/\/\S+$|^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/\S*)?$|^\/\S*$/ },
+  feedbackRateLimit: { type: "number", min: 1, max: 100 },
+  feedbackRateWindowMs: { type: "number", min: 1000 },
+  analyticsConsent: { type: "string", oneOf: ["opt-in", "granted", "denied"] },
+  analyticsSinks: { type: "string", pattern: /^$|^\s*(console|beacon|dataLayer)\s*(,\s*(console|beacon|dataLayer)\s*)*$/ },
+  analyticsBeaconUrl: { type: "string", pattern: /^$|^https:\/\/\S+$|^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/\S*)?$|^\/\S*$/ },
+  // Keep in sync with DV_I18N_LOCALES (i18n.js)
+  defaultLocale: { type: "string", oneOf: ["en", "fr"] },
+};
+
+class DemandVoxConfigError extends Error {
+  constructor(problems) {
+    super(`[config] Invalid DemandVox configuration:\n  - ${problems.join("\n  - ")}`);
+    this.name = "DemandVoxConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * data-* values are always strings: coerce them to the schema type
+ * before validation ("0.9" → 0.9, "" / "true" → true).
+ */
+function coerceDemandVoxConfigValue(key, value) {
+  const rule = DEMANDVOX_CONFIG_SCHEMA[key];
+  if (!rule || typeof value !== "string") return value;
+
+  if (rule.type === "number" && value.trim() !== "") return Number(value);
+  if (rule.type === "boolean") {
+    if (value === "" || value === "true") return true;
+    if (value === "false") return false;
+  }
+  return value;
+}
+
+function validateDemandVoxConfigValue(key, value) {
+  const rule = DEMANDVOX_CONFIG_SCHEMA[key];
+  if (!rule) return `unknown key "${key}"`;
+
+  if (rule.type === "number" ? !Number.isFinite(value) : typeof value !== rule.type) {
+    return `"${key}" must be a ${rule.type} (got ${JSON.stringify(value)})`;
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return `"${key}" must be one of ${rule.oneOf.join(", ")} (got "${value}")`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `"${key}" has an invalid format (got "${value}")`;
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `"${key}" must not be empty`;
+  }
+  if (rule.min !== undefined && value < rule.min) return `"${key}" must be >= ${rule.min} (got ${value})`;
+  if (rule.max !== undefined && value > rule.max) return `"${key}" must be <= ${rule.max} (got ${value})`;
+
+  return null;
+}
+
+/**
+ * Merge one layer into the config, keeping only valid values.
+ * Problems are collected (prefixed with the layer name) for one report.
+ */
+function mergeDemandVoxConfigLayer(config, layer, layerName, problems) {
+  for (const [key, raw] of Object.entries(layer || {})) {
+    if (key === "profiles" || raw === undefined) continue;
+
+    const value = coerceDemandVoxConfigValue(key, raw);
+    const problem = validateDemandVoxConfigValue(key, value);
+
+    if (problem) {
+      problems.push(`${layerName}: ${problem}`);
+      continue;
+    }
+    config[key] = value;
+  }
+}
+
+function readDemandVoxScriptAttributes(script) {
+  const attrs = {};
+  if (!script) return attrs;
+
+  // dataset already camelCases: data-intro-title → introTitle
+  for (const [key, value] of Object.entries(script.dataset)) attrs[key] = value;
+  return attrs;
+}
+
+function loadDemandVoxConfig(script) {
+  const globalConfig = window.DemandVoxConfig || {};
+  const attrs = readDemandVoxScriptAttributes(script);
+  const problems = [];
+
+  // The environment can itself be forced (data-env / DemandVoxConfig.env)
+  const envLayer = {};
+  mergeDemandVoxConfigLayer(envLayer, { env: detectDemandVoxEnvironment() }, "detected", problems);
+  if (globalConfig.env !== undefined) mergeDemandVoxConfigLayer(envLayer, { env: globalConfig.env }, "DemandVoxConfig", problems);
+  if (attrs.env !== undefined) mergeDemandVoxConfigLayer(envLayer, { env: attrs.env }, "data-*", problems);
+  const env = envLayer.env;
+
+  const config = { ...DEMANDVOX_CONFIG_DEFAULTS };
+  mergeDemandVoxConfigLayer(config, DEMANDVOX_ENV_PROFILES[env], `profile:${env}`, problems);
+  mergeDemandVoxConfigLayer(config, { ...globalConfig, env: undefined }, "DemandVoxConfig", problems);
+  mergeDemandVoxConfigLayer(config, globalConfig.profiles?.[env], `DemandVoxConfig.profiles.${env}`, problems);
+  mergeDemandVoxConfigLayer(config, { ...attrs, env: undefined }, "data-*", problems);
+  config.env = env;
+
+  if (problems.length) {
+    // Not thrown: invalid keys already fell back to the previous layer
+    console.error(new DemandVoxConfigError(problems));
+  }
+
+  return config;
+}
+
+/********************************************************************
+ * Publish
+ ********************************************************************/
+window.DemandVox = window.DemandVox || {};
+window.DemandVox.config = Object.freeze(loadDemandVoxConfig(document.currentScript));
+window.DemandVox.env = Object.freeze({
+  name: window.DemandVox.config.env,
+  isPreview: window.DemandVox.config.env === "preview",
+  isLocal: window.DemandVox.config.env === "local",
+  isProduction: window.DemandVox.config.env === "production",
+});
@@ -0,0 +1,342 @@
+/********************************************************************
+ * Conversation analytics (consent-gated)
+ * ------------------------------------------------------------------
+ * A funnel of what visitors do with the assistant, built from the
+ * delphi.js events and one watcher rule:
+ *
+ *   embed_loaded     IFRAME_FOUND (once per page)
+ *   overview_viewed  MODE_CHANGE → overview_mode
+ *   chat_started     MODE_CHANGE → chat_mode          { from }
+ *   message_sent     a new @userMessage in the chat   { index }
+ *                    (same-origin embeds only: function rules
+ *                    don't cross the bridge)
+ *   call_started     MODE_CHANGE → call_mode          { from }
+ *   session_ended    pagehide { durationMs, chatMs, messages, furthestStep }
+ *
+ * Event: { name, at, sessionId, page, props }. No message text, no
+ * user agent, no cookies; sessionId is random and per tab.
+ *
+ * Consent: nothing is tracked (or buffered) without it.
+ * - Do Not Track / Global Privacy Control: always off
+ * - config.analyticsConsent "denied": always off
+ * - otherwise the visitor's choice, DemandVox.analytics.setConsent(),
+ *   kept in localStorage; without one, "granted" tracks and "opt-in"
+ *   (default) waits
+ * - or a consent manager: DemandVox.analytics.setConsentCheck(() => bool)
+ *   then DemandVox.analytics.refreshConsent() when it changes
+ * Events already seen (embed loaded, current mode) are replayed when
+ * consent arrives mid-page.
+ *
+ * Sinks (config.analyticsSinks, comma-separated):
+ * - console:   dvLog("[analytics] ...")
+ * - beacon:    batched to config.analyticsBeaconUrl with sendBeacon,
+ *              e.g. the local collector of dev/mock-server.js:
+ *                <script src="assets/js/config.js"
+ *                        data-analytics-sinks="console,beacon"
+ *                        data-analytics-beacon-url="/api/analytics"></script>
+ * - dataLayer: window.dataLayer.push({ event: "dv_<name>", ... })
+ * Custom: DemandVox.analytics.addSink({ name, send(event), flush() })
+ *
+ * Requires config.js + logger.js + delphi.js (loaded before this file).
+ ********************************************************************/
+const DELPHI_ANALYTICS_CONSENT_KEY = "dv:analytics:consent";
+const DELPHI_ANALYTICS_SESSION_KEY = "dv:analytics:session";
+const DELPHI_ANALYTICS_BATCH_SIZE = 10;
+const DELPHI_ANALYTICS_FLUSH_INTERVAL_MS = 5000;
+
+// Funnel order, for session_ended.furthestStep (where visitors drop off)
+const DELPHI_ANALYTICS_FUNNEL = ["embed_loaded", "overview_viewed", "chat_started", "message_sent", "call_started"];
+
+const DELPHI_ANALYTICS_MODE_EVENTS = {
+  overview_mode: "overview_viewed",
+  chat_mode: "chat_started",
+  call_mode: "call_started",
+};
+
+function getDelphiAnalyticsSessionId() {
+  try {
+    let id = sessionStorage.getItem(DELPHI_ANALYTICS_SESSION_KEY);
+    if (!id) {
+      id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      sessionStorage.setItem(DELPHI_ANALYTICS_SESSION_KEY, id);
+    }
+    return id;
+  } catch {
+    return `${Date.now().toString(36)}-volatile`;
+  }
+}
+
+function isDelphiTrackingOptedOut() {
+  return navigator.globalPrivacyControl === true || navigator.doNotTrack === "1" || window.doNotTrack === "1";
+}
+
+function readDelphiAnalyticsConsent() {
+  try {
+    const stored = localStorage.getItem(DELPHI_ANALYTICS_CONSENT_KEY);
+    return stored === "granted" ? true : stored === "denied" ? false : null;
+  } catch {
+    return null;
+  }
+}
+
+/********************************************************************
+ * Sinks
+ ********************************************************************/
+function createConsoleAnalyticsSink() {
+  return {
+    name: "console",
+    send: (event) => dvLog(`[analytics] ${event.name}`, event.props),
+  };
+}
+
+function createBeaconAnalyticsSink({ analyticsBeaconUrl: url }) {
+  let queue = [];
+  let flushTimer = null;
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!queue.length) return;
+
+    const events = queue;
+    queue = [];
+
+    const body = JSON.stringify({ sessionId: events[0].sessionId, page: window.location.pathname, sentAt: new Date().toISOString(), events });
+
+    try {
+      if (navigator.sendBeacon?.(url, new Blob([body], { type: "application/json" }))) return;
+
+      // Beacon refused (payload too large / unavailable): best effort
+      fetch(url, { method: "POST", body, keepalive: true, headers: { "Content-Type": "application/json" } }).catch(() => {});
+    } catch {
+      // never let analytics break the page
+    }
+  }
+
+  return {
+    name: "beacon",
+    send(event) {
+      queue.push(event);
+      if (queue.length >= DELPHI_ANALYTICS_BATCH_SIZE) flush();
+      else if (!flushTimer) flushTimer = setTimeout(flush, DELPHI_ANALYTICS_FLUSH_INTERVAL_MS);
+    },
+    flush,
+  };
+}
+
+function createDataLayerAnalyticsSink() {
+  return {
+    name: "dataLayer",
+    send(event) {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push({ event: `dv_${event.name}`, dvSessionId: event.sessionId, ...event.props });
+    },
+  };
+}
+
+const DELPHI_ANALYTICS_SINKS = {
+  console: createConsoleAnalyticsSink,
+  beacon: createBeaconAnalyticsSink,
+  dataLayer: createDataLayerAnalyticsSink,
+};
+
+function createConfiguredAnalyticsSinks(config = DV_CONFIG) {
+  return config.analyticsSinks
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .flatMap((name) => {
+      if (name === "beacon" && !config.analyticsBeaconUrl) {
+        dvWarn("[analytics] \"beacon\" sink needs analyticsBeaconUrl, skipped");
+        return [];
+      }
+      return [DELPHI_ANALYTICS_SINKS[name](config)];
+    });
+}
+
+/********************************************************************
+ * Controller
+ ********************************************************************/
+function createDelphiAnalytics(config = DV_CONFIG) {
+  const sinks = createConfiguredAnalyticsSinks(config);
+  const sessionId = getDelphiAnalyticsSessionId();
+  const pageStartedAt = Date.now();
+
+  let consentCheck = null;
+  let active = false;
+  let unsubscribers = [];
+  let ended = false;
+
+  // Per page view
+  let embedLoaded = false;
+  let currentMode = null;
+  let chatEnteredAt = null;
+  let chatMs = 0;
+  let messageCount = 0;
+  let furthestStep = -1;
+
+  // User messages on screen when counting started (not "sent" here)
+  let messageBaseline = null;
+
+  function hasConsent() {
+    if (isDelphiTrackingOptedOut() || config.analyticsConsent === "denied") return false;
+    if (consentCheck) return Boolean(consentCheck());
+
+    const stored = readDelphiAnalyticsConsent();
+    return stored ?? config.analyticsConsent === "granted";
+  }
+
+  function track(name, props = {}) {
+    if (!active) return;
+
+    const step = DELPHI_ANALYTICS_FUNNEL.indexOf(name);
+    if (step > furthestStep) furthestStep = step;
+
+    const event = { name, at: new Date().toISOString(), sessionId, page: window.location.pathname, props };
+
+    for (const sink of sinks) {
+      try {
+        sink.send(event);
+      } catch (e) {
+        dvWarn(`[analytics] sink "${sink.name}" failed`, e);
+      }
+    }
+  }
+
+  function flushSinks() {
+    for (const sink of sinks) {
+      try {
+        sink.flush?.();
+      } catch {
+        // best effort on the way out
+      }
+    }
+  }
+
+  function leaveChat(now = Date.now()) {
+    if (chatEnteredAt === null) return;
+    chatMs += now - chatEnteredAt;
+    chatEnteredAt = null;
+  }
+
+  // From MODE_CHANGE, or from the message rule when it sees the chat
+  // before the mode watcher does; entering the same mode twice is a no-op
+  function enterMode(mode, from) {
+    if (mode === currentMode) return;
+    currentMode = mode;
+
+    if (mode === "chat_mode") chatEnteredAt = Date.now();
+    else leaveChat();
+
+    const name = DELPHI_ANALYTICS_MODE_EVENTS[mode];
+    if (name) track(name, name === "overview_viewed" ? {} : { from });
+  }
+
+  function onModeChange(e) {
+    enterMode(e.detail.mode, e.detail.previous);
+  }
+
+  function onIframeFound() {
+    if (embedLoaded) return;
+    embedLoaded = true;
+    track("embed_loaded");
+  }
+
+  /**
+   * Rule body (chat_mode): a user message count going up = sent.
+   * Fewer messages than before means a new conversation.
+   */
+  function countMessages(doc) {
+    if (!active) return;
+    enterMode("chat_mode", currentMode);
+
+    const count = queryDelphiSelectorAll(doc, "userMessage").length;
+    if (messageBaseline === null || count < messageBaseline) {
+      messageBaseline = count;
+      return;
+    }
+
+    while (messageBaseline < count) {
+      messageBaseline += 1;
+      messageCount += 1;
+      track("message_sent", { index: messageCount });
+    }
+  }
+
+  function endSession() {
+    if (!active || ended) return;
+    ended = true;
+
+    leaveChat();
+    track("session_ended", {
+      durationMs: Date.now() - pageStartedAt,
+      chatMs,
+      messages: messageCount,
+      furthestStep: DELPHI_ANALYTICS_FUNNEL[furthestStep] || null,
+    });
+    flushSinks();
+  }
+
+  function start() {
+    if (active) return;
+    active = true;
+    dvLog(`[analytics] tracking on (${sinks.map((sink) => sink.name).join(", ") || "no sinks"})`);
+
+    // Replayed: what happened before consent still counts
+    unsubscribers = [onDelphiEvent(DELPHI_EVENTS.IFRAME_FOUND, onIframeFound), onDelphiEvent(DELPHI_EVENTS.MODE_CHANGE, onModeChange)];
+  }
+
+  function stop() {
+    if (!active) return;
+    active = false;
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    unsubscribers = [];
+    flushSinks();
+    dvLog("[analytics] tracking off");
+  }
+
+  function refreshConsent() {
+    if (hasConsent()) start();
+    else stop();
+  }
+
+  window.DemandVox.delphi.addRule({ name: "analytics-messages", modes: ["chat_mode"], apply: countMessages });
+
+  window.addEventListener("pagehide", endSession);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushSinks();
+  });
+
+  refreshConsent();
+
+  return {
+    funnel: [...DELPHI_ANALYTICS_FUNNEL],
+    hasConsent,
+    isActive: () => active,
+    setConsent(granted) {
+      try {
+        localStorage.setItem(DELPHI_ANALYTICS_CONSENT_KEY, granted ? "granted" : "denied");
+      } catch (e) {
+        dvWarn("[analytics] Could not persist consent", e);
+      }
+      refreshConsent();
+    },
+    setConsentCheck(check) {
+      consentCheck = typeof check === "function" ? check : null;
+      refreshConsent();
+    },
+    refreshConsent,
+    addSink(sink) {
+      if (typeof sink?.send !== "function") {
+        dvWarn("[analytics] Ignoring sink without send():", sink);
+        return;
+      }
+      sinks.push({ name: "custom", ...sink });
+    },
+    getSinks: () => sinks.map((sink) => sink.name),
+    track,
+    flush: flushSinks,
+  };
+}
+
+window.DemandVox.analytics = createDelphiAnalytics();
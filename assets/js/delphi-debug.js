@@ -0,0 +1,208 @@
+/********************************************************************
+ * Delphi debug overlay
+ * ------------------------------------------------------------------
+ * Floating panel with the live embed state, so debugging on preview
+ * deployments doesn't mean reading [delphi-resize] / [delphi-styling]
+ * console lines:
+ *
+ * - current mode (getDelphiMode())
+ * - measured content height vs applied iframe height vs min height
+ * - scroll intent (following the chat, unread answers)
+ * - every registered rule: matches now, last match, last apply
+ * - actions: force a resize, re-run rules, copy a diagnostic snapshot
+ *
+ * Toggle:
+ * - Alt+Shift+D (only when config.debug is on: preview + local)
+ * - window.__DV_DEBUG__ = true / false from DevTools (any environment)
+ *
+ * Everything shown comes from DemandVox.delphi.getDebugSnapshot().
+ * Requires config.js + delphi.js (loaded before this file).
+ ********************************************************************/
+const DELPHI_DEBUG_REFRESH_MS = 500;
+
+function formatDebugAge(timestamp) {
+  if (!timestamp) return "—";
+
+  const seconds = Math.round((Date.now() - timestamp) / 1000);
+  return seconds < 1 ? "now" : `${seconds}s ago`;
+}
+
+function formatDebugPx(value) {
+  return value === null || value === undefined ? "—" : `${value}px`;
+}
+
+function createDebugElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function createDelphiDebugOverlay() {
+  const delphi = window.DemandVox.delphi;
+
+  let panel = null;
+  let refreshTimer = null;
+
+  // Rule name → last time its selector matched (only known while open)
+  const lastMatchedAt = new Map();
+
+  function row(label, value) {
+    const el = createDebugElement("div", "dv-debug-row");
+    el.append(createDebugElement("span", "dv-debug-label", label), createDebugElement("span", "dv-debug-value", value));
+    return el;
+  }
+
+  function button(label, onClick) {
+    const el = createDebugElement("button", null, label);
+    el.type = "button";
+    el.addEventListener("click", onClick);
+    return el;
+  }
+
+  function renderRules(rules) {
+    const table = createDebugElement("table", "dv-debug-rules");
+    const head = table.createTHead().insertRow();
+    for (const label of ["rule", "match", "last match", "last apply", "runs"]) {
+      head.appendChild(createDebugElement("th", null, label));
+    }
+
+    const body = table.createTBody();
+    for (const rule of rules) {
+      if (rule.matched) lastMatchedAt.set(rule.name, Date.now());
+
+      const tr = body.insertRow();
+      tr.title = [rule.selector, rule.modes?.join(", "), rule.lastError].filter(Boolean).join("\n");
+      if (rule.lastError) tr.className = "is-error";
+
+      const match = rule.matched === null ? "—" : rule.matched ? "✓" : "✗";
+      for (const text of [rule.name, match, formatDebugAge(lastMatchedAt.get(rule.name)), formatDebugAge(rule.lastAppliedAt), String(rule.runs)]) {
+        tr.appendChild(createDebugElement("td", null, text));
+      }
+    }
+
+    return table;
+  }
+
+  function render() {
+    if (!panel) return;
+
+    const snapshot = delphi.getDebugSnapshot();
+    const { resize, metrics } = snapshot;
+
+    const content = createDebugElement("div", "dv-debug-content");
+    content.append(
+      row("mode", snapshot.mode),
+      row("embed", `${snapshot.embed} · ${snapshot.env}`),
+      row("content height", formatDebugPx(resize.contentHeight)),
+      row("applied height", formatDebugPx(resize.appliedHeight)),
+      row("min height", formatDebugPx(resize.minHeight)),
+      row("following", String(resize.following ?? "—")),
+      row("unread messages", String(resize.unreadMessages ?? "—")),
+      row(
+        "resize engine",
+        metrics ? `${metrics.engine}${metrics.paused ? " (paused)" : ""} · ${metrics.resizeCount} passes · settle ${metrics.averageTimeToSettleMs ?? "—"}ms` : "—"
+      ),
+      row("health", `${snapshot.health.status}${snapshot.health.problems.length ? ` (${snapshot.health.problems.length})` : ""}`),
+      renderRules(snapshot.rules)
+    );
+
+    panel.querySelector(".dv-debug-content").replaceWith(content);
+  }
+
+  function copySnapshot() {
+    const json = JSON.stringify(delphi.getDebugSnapshot(), null, 2);
+    // Clipboard blocked or missing (plain http preview): fall back to the log
+    const logSnapshot = () => dvLog("[delphi-debug] clipboard unavailable, snapshot:\n" + json);
+
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(json).then(() => dvLog("[delphi-debug] snapshot copied"), logSnapshot);
+      return;
+    }
+    logSnapshot();
+  }
+
+  function open() {
+    if (panel) return;
+
+    panel = createDebugElement("aside", "dv-debug-overlay");
+    panel.setAttribute("aria-label", "Delphi debug panel");
+
+    const header = createDebugElement("header", "dv-debug-header");
+    header.append(createDebugElement("strong", null, "Delphi debug"), button("×", close));
+    header.lastChild.setAttribute("aria-label", "Close debug panel");
+
+    const actions = createDebugElement("div", "dv-debug-actions");
+    actions.append(
+      button("Force resize", () => {
+        delphi.resize();
+        render();
+      }),
+      button("Re-run rules", () => {
+        if (!delphi.runRules()) dvWarn("[delphi-debug] No same-origin runtime: rules run inside the frame agent");
+        render();
+      }),
+      button("Copy snapshot", copySnapshot)
+    );
+
+    panel.append(header, createDebugElement("div", "dv-debug-content"), actions);
+    document.body.appendChild(panel);
+
+    render();
+    refreshTimer = setInterval(render, DELPHI_DEBUG_REFRESH_MS);
+    dvLog("[delphi-debug] overlay opened");
+  }
+
+  function close() {
+    if (!panel) return;
+
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    panel.remove();
+    panel = null;
+    dvLog("[delphi-debug] overlay closed");
+  }
+
+  return {
+    open,
+    close,
+    toggle: () => (panel ? close() : open()),
+    isOpen: () => Boolean(panel),
+  };
+}
+
+window.DemandVox.debug = createDelphiDebugOverlay();
+
+/********************************************************************
+ * Toggles
+ ********************************************************************/
+document.addEventListener("keydown", (e) => {
+  if (!DV_CONFIG.debug && !window.__DV_DEBUG__) return;
+  if (!(e.altKey && e.shiftKey && e.code === "KeyD")) return;
+
+  e.preventDefault();
+  window.DemandVox.debug.toggle();
+});
+
+// window.__DV_DEBUG__ keeps working as a plain flag; assigning it
+// from DevTools also opens / closes the overlay
+(() => {
+  let debugFlag = window.__DV_DEBUG__;
+
+  Object.defineProperty(window, "__DV_DEBUG__", {
+    configurable: true,
+    get: () => debugFlag,
+    set(value) {
+      debugFlag = value;
+      if (!document.body) return;
+
+      if (value) window.DemandVox.debug.open();
+      else window.DemandVox.debug.close();
+    },
+  });
+
+  if (debugFlag) {
+    if (document.body) window.DemandVox.debug.open();
+    else document.addEventListener("DOMContentLoaded", () => window.DemandVox.debug.open());
+  }
+})();
@@ -0,0 +1,267 @@
+/********************************************************************
+ * Embed loading: skeleton, retry, fallback
+ * ------------------------------------------------------------------
+ * The Delphi embed depends on a third-party script
+ * (embed.delphi.ai/loader.js) that ad blockers and flaky networks
+ * regularly stop. Instead of leaving the visitor on an empty canvas:
+ *
+ * 1. Skeleton: #delphi-skeleton (static markup in the page, so it
+ *    shows before any script runs) stays up until the iframe loads
+ * 2. Retry: a loader script that fails to load, or a loader that
+ *    never produces the iframe (DELPHI_EVENTS.TIMEOUT), is retried
+ *    with exponential backoff, up to config.embedRetries times
+ * 3. Fallback: after that, #delphi-fallback is filled from config
+ *    (fallbackTitle / fallbackMessage / fallbackBookingUrl /
+ *    fallbackEmail / fallbackFormUrl / fallbackHelpUrl) and shown,
+ *    and DELPHI_EVENTS.UNAVAILABLE is dispatched. Its copy follows the
+ *    locale (i18n.js "embed.*" keys); a configured fallbackTitle /
+ *    fallbackMessage wins over the dictionary
+ *
+ * Requires config.js + logger.js + i18n.js + delphi.js (loaded before
+ * this file, in <head>, so the loader's error event can't be missed).
+ ********************************************************************/
+const DELPHI_LOADER_SCRIPT_ID = "delphi-page-bootstrap";
+const DELPHI_SKELETON_ID = "delphi-skeleton";
+const DELPHI_FALLBACK_ID = "delphi-fallback";
+
+const DELPHI_RETRY_MAX_DELAY_MS = 8000;
+
+// Cross-origin embeds give no signal once painted: don't wait forever
+const DELPHI_SKELETON_MAX_WAIT_AFTER_FOUND_MS = 4000;
+
+// Panel copy the site can set through config (empty = the dictionary's)
+const DELPHI_FALLBACK_CONFIG_TEXT = {
+  "embed.fallbackTitle": "fallbackTitle",
+  "embed.fallbackMessage": "fallbackMessage",
+};
+
+function getDelphiFallbackText(key, params = {}) {
+  return DV_CONFIG[DELPHI_FALLBACK_CONFIG_TEXT[key]] || translateDelphiText(key, params);
+}
+
+function getDelphiRetryDelay(attempt) {
+  return Math.min(DV_CONFIG.embedRetryDelayMs * 2 ** (attempt - 1), DELPHI_RETRY_MAX_DELAY_MS);
+}
+
+function setDelphiSkeletonVisible(visible) {
+  const skeleton = document.getElementById(DELPHI_SKELETON_ID);
+  if (skeleton) skeleton.hidden = !visible;
+}
+
+/**
+ * Re-create the loader <script> in place (same id and src): a script
+ * element only ever loads once, and the loader looks itself up by id.
+ */
+function reinjectDelphiLoaderScript() {
+  const current = document.getElementById(DELPHI_LOADER_SCRIPT_ID);
+  if (!current) {
+    dvWarn("[delphi-embed] Loader script not found, cannot retry");
+    return false;
+  }
+
+  const fresh = document.createElement("script");
+  fresh.id = current.id;
+  fresh.src = current.src;
+  current.replaceWith(fresh);
+  return true;
+}
+
+/********************************************************************
+ * Fallback panel
+ ********************************************************************/
+function submitDelphiFallbackForm(form, status) {
+  const data = Object.fromEntries(new FormData(form));
+
+  // No collector configured: hand over to the visitor's mail client
+  if (!DV_CONFIG.fallbackFormUrl) {
+    const subject = encodeURIComponent("Question from demandvox.com");
+    const body = encodeURIComponent(`${data.message}\n\n— ${data.email}`);
+    window.location.href = `mailto:${DV_CONFIG.fallbackEmail}?subject=${subject}&body=${body}`;
+    return;
+  }
+
+  status.textContent = getDelphiFallbackText("embed.sending");
+
+  fetch(DV_CONFIG.fallbackFormUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email: data.email, message: data.message, page: window.location.pathname }),
+  })
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      form.reset();
+      status.textContent = getDelphiFallbackText("embed.sent");
+    })
+    .catch((e) => {
+      dvError("[delphi-embed] Fallback form failed", e);
+      status.textContent = DV_CONFIG.fallbackEmail
+        ? getDelphiFallbackText("embed.sendFailedEmail", { email: DV_CONFIG.fallbackEmail })
+        : getDelphiFallbackText("embed.sendFailed");
+    });
+}
+
+function renderDelphiFallback(container) {
+  container.replaceChildren();
+
+  const title = document.createElement("h2");
+  title.dataset.dvText = "embed.fallbackTitle";
+
+  const message = document.createElement("p");
+  message.dataset.dvText = "embed.fallbackMessage";
+
+  const actions = document.createElement("div");
+  actions.className = "dv-embed-fallback-actions";
+
+  const addLink = (labelKey, href, primary) => {
+    const link = document.createElement("a");
+    link.href = href;
+    link.dataset.dvText = labelKey;
+    link.className = primary ? "dv-embed-fallback-button is-primary" : "dv-embed-fallback-button";
+    if (/^https?:/.test(href)) {
+      link.target = "_blank";
+      link.rel = "noopener";
+    }
+    actions.appendChild(link);
+  };
+
+  if (DV_CONFIG.fallbackBookingUrl) addLink("embed.bookCall", DV_CONFIG.fallbackBookingUrl, true);
+  if (DV_CONFIG.fallbackEmail && !DV_CONFIG.fallbackFormUrl) addLink("embed.emailUs", `mailto:${DV_CONFIG.fallbackEmail}`);
+  if (DV_CONFIG.fallbackHelpUrl) addLink("embed.getHelp", DV_CONFIG.fallbackHelpUrl);
+
+  const retry = document.createElement("button");
+  retry.type = "button";
+  retry.className = "dv-embed-fallback-button";
+  retry.dataset.dvText = "embed.retry";
+  retry.addEventListener("click", () => window.location.reload());
+  actions.appendChild(retry);
+
+  container.append(title, message, actions);
+
+  // Email form, when there's somewhere to send it
+  if (DV_CONFIG.fallbackFormUrl || DV_CONFIG.fallbackEmail) {
+    const form = document.createElement("form");
+    form.className = "dv-embed-fallback-form";
+    form.innerHTML = `
+      <label><span data-dv-text="embed.formEmail"></span> <input type="email" name="email" required autocomplete="email"></label>
+      <label><span data-dv-text="embed.formQuestion"></span> <textarea name="message" rows="3" required></textarea></label>
+      <button type="submit" class="dv-embed-fallback-button is-primary" data-dv-text="embed.formSend"></button>
+      <p class="dv-embed-fallback-status" role="status"></p>
+    `;
+
+    const status = form.querySelector(".dv-embed-fallback-status");
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      submitDelphiFallbackForm(form, status);
+    });
+
+    container.appendChild(form);
+  }
+
+  localizeDelphiFallback(container);
+}
+
+// Re-run on locale changes: only the labels, what the visitor typed stays
+function localizeDelphiFallback(container) {
+  for (const el of container.querySelectorAll("[data-dv-text]")) {
+    el.textContent = getDelphiFallbackText(el.dataset.dvText);
+  }
+}
+
+/********************************************************************
+ * Controller
+ ********************************************************************/
+function createDelphiEmbedLoader() {
+  let attempt = 0;
+  let retryTimer = null;
+  let unavailable = false;
+
+  function showFallback(reason) {
+    if (unavailable) return;
+    unavailable = true;
+
+    setDelphiSkeletonVisible(false);
+
+    const container = document.getElementById(DELPHI_FALLBACK_ID);
+    if (container) {
+      renderDelphiFallback(container);
+      container.hidden = false;
+    }
+
+    dvError(`[delphi-embed] Delphi unavailable after ${attempt} retries (${reason})`);
+    emitDelphiEvent(DELPHI_EVENTS.UNAVAILABLE, { reason, attempts: attempt });
+  }
+
+  function hideFallback() {
+    const container = document.getElementById(DELPHI_FALLBACK_ID);
+    if (container) container.hidden = true;
+    unavailable = false;
+  }
+
+  /**
+   * reason: "loader-error" (script blocked / network) or
+   *         "iframe-timeout" (loader ran, no iframe showed up)
+   */
+  function scheduleRetry(reason) {
+    if (retryTimer || unavailable) return;
+
+    if (attempt >= DV_CONFIG.embedRetries) {
+      showFallback(reason);
+      return;
+    }
+
+    attempt++;
+    const delay = getDelphiRetryDelay(attempt);
+    dvWarn(`[delphi-embed] ${reason}, retry ${attempt}/${DV_CONFIG.embedRetries} in ${delay}ms`);
+
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      if (!reinjectDelphiLoaderScript()) {
+        showFallback(reason);
+        return;
+      }
+
+      // A fresh wait for the iframe the new loader should create
+      if (reason === "iframe-timeout") window.DemandVox.delphi.reinit();
+    }, delay);
+  }
+
+  // Script load errors don't bubble: listen in the capture phase
+  document.addEventListener(
+    "error",
+    (e) => {
+      if (e.target?.id === DELPHI_LOADER_SCRIPT_ID) scheduleRetry("loader-error");
+    },
+    true
+  );
+
+  onDelphiEvent(DELPHI_EVENTS.TIMEOUT, () => scheduleRetry("iframe-timeout"), { replay: false });
+
+  document.addEventListener(DELPHI_LOCALE_CHANGE_EVENT, () => {
+    const container = document.getElementById(DELPHI_FALLBACK_ID);
+    if (unavailable && container) localizeDelphiFallback(container);
+  });
+
+  onDelphiEvent(DELPHI_EVENTS.IFRAME_FOUND, (e) => {
+    const { iframe } = e.detail;
+
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    hideFallback();
+
+    // Keep the skeleton until the embed has something to paint
+    const done = () => {
+      clearTimeout(safety);
+      iframe.removeEventListener("load", done);
+      setDelphiSkeletonVisible(false);
+    };
+    const safety = setTimeout(done, DELPHI_SKELETON_MAX_WAIT_AFTER_FOUND_MS);
+    iframe.addEventListener("load", done);
+  });
+
+  return {
+    getAttempts: () => attempt,
+    isUnavailable: () => unavailable,
+  };
+}
+
+window.DemandVox.embed = createDelphiEmbedLoader();
@@ -0,0 +1,365 @@
+/********************************************************************
+ * Assistant message post-processing
+ * ------------------------------------------------------------------
+ * A pipeline of transformers run on every message rendered in the
+ * chat (@userMessage / @assistantMessage), on top of the watcher
+ * runtime (one rule, so still a single MutationObserver).
+ *
+ * Built-in transformers, in order:
+ * - vendor-links:  vendor names (assets/data/vendors.json) become
+ *                  links to our own profile pages, opened through the
+ *                  app shell (DemandVox.shell) so the chat stays
+ *                  mounted; a top-level load on pages without it
+ * - outbound-links: external links get UTM parameters, target=_blank
+ *                  and rel="noopener" (+ "sponsored" for sponsored
+ *                  vendors)
+ * - disclaimers:   notes inserted after answers that match a topic
+ *                  (outside the message: its text stays Delphi's, for
+ *                  the transcript and analytics)
+ *
+ * Idempotency:
+ * - a message is only processed once its text has been stable for
+ *   DELPHI_MESSAGE_SETTLE_MS (no transforming half-streamed answers)
+ * - the text we leave behind is remembered per element, so re-runs
+ *   skip it; a re-render that changes the text is processed again
+ * - every transformer also checks the DOM itself (links already
+ *   wrapped, parameters already present, disclaimer already there)
+ *
+ * Extending:
+ *   DemandVox.messages.use({
+ *     name: "my-transform",
+ *     roles: ["assistant"],          // default: assistant only
+ *     transform(el, ctx) { ... },    // must be idempotent
+ *   });
+ *
+ * Same-origin embeds only: function rules don't cross the bridge (so
+ * vendor links, and their click handling, only exist there).
+ * Requires config.js + logger.js + delphi.js (loaded before this file).
+ ********************************************************************/
+const DELPHI_MESSAGE_SETTLE_MS = 800;
+const DELPHI_MESSAGE_STYLE_ID = "dv-delphi-messages";
+
+const DELPHI_MESSAGE_UTM = {
+  utm_source: "demandvox",
+  utm_medium: "assistant",
+  utm_campaign: "chat",
+};
+
+/**
+ * Disclaimers shown under assistant answers matching `match`.
+ */
+const DELPHI_MESSAGE_DISCLAIMERS = [
+  {
+    id: "pricing",
+    match: /\b(pric(e|es|ing)|costs?|per (month|year|lead))\b|\$\s?\d/i,
+    text: "Prices are indicative and change often: confirm them with the vendor.",
+  },
+  {
+    id: "legal",
+    match: /\b(GDPR|CCPA|compliance|legal(ly)?|consent)\b/i,
+    text: "This is general information, not legal advice.",
+  },
+];
+
+function getDelphiMessageCss() {
+  return `
+    a.dv-vendor-link {
+      color: inherit;
+      text-decoration: underline;
+      text-decoration-color: var(--dv-accent, #0f766e);
+      text-underline-offset: 2px;
+    }
+    .dv-message-disclaimer {
+      margin-top: 8px !important;
+      font-size: 0.8em !important;
+      opacity: 0.7;
+    }
+  `;
+}
+
+// Hostnames of sponsored vendors' websites ("www." dropped)
+function getDelphiSponsoredHosts(vendors) {
+  const hosts = new Set();
+
+  for (const vendor of vendors) {
+    if (!vendor.sponsored || !vendor.website) continue;
+    try {
+      hosts.add(new URL(vendor.website).hostname.replace(/^www\./, ""));
+    } catch {
+      dvWarn(`[delphi-messages] Ignoring invalid website for vendor "${vendor.slug}":`, vendor.website);
+    }
+  }
+
+  return hosts;
+}
+
+function getDelphiVendorProfileUrl(vendor) {
+  return new URL(DV_CONFIG.vendorProfileUrl.replace("{slug}", encodeURIComponent(vendor.slug)), window.location.href).toString();
+}
+
+/********************************************************************
+ * Built-in transformers
+ ********************************************************************/
+/**
+ * Wrap the first mention of each vendor in a link. Text already inside
+ * a link (ours or Delphi's) is left alone, which is what makes it
+ * idempotent.
+ */
+function transformDelphiVendorLinks(el, { doc, vendors }) {
+  if (!vendors.length) return;
+
+  const names = new Map();
+  for (const vendor of vendors) {
+    for (const name of [vendor.name, ...(vendor.aliases || [])]) names.set(name.toLowerCase(), vendor);
+  }
+
+  const pattern = new RegExp(
+    `(^|[^\\w])(${[...names.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})(?![\\w])`,
+    "gi"
+  );
+
+  const linked = new Set(Array.from(el.querySelectorAll("a[data-dv-vendor]"), (a) => a.dataset.dvVendor));
+
+  const walker = doc.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement?.closest("a, code, pre") ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+  });
+
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  for (let node of textNodes) {
+    while (node) {
+      // First mention of a vendor not linked yet (only the first one is)
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(node.nodeValue)) && linked.has(names.get(match[2].toLowerCase()).slug));
+      if (!match) break;
+
+      const vendor = names.get(match[2].toLowerCase());
+      const start = match.index + match[1].length;
+
+      const nameNode = node.splitText(start);
+      node = nameNode.splitText(match[2].length);
+
+      const link = doc.createElement("a");
+      link.className = "dv-vendor-link";
+      link.href = getDelphiVendorProfileUrl(vendor);
+      link.dataset.dvVendor = vendor.slug;
+      nameNode.replaceWith(link);
+      link.appendChild(nameNode);
+
+      linked.add(vendor.slug);
+    }
+  }
+}
+
+function transformDelphiOutboundLinks(el, { sponsoredHosts }) {
+  for (const link of el.querySelectorAll("a[href]")) {
+    if (link.dataset.dvVendor) continue;
+
+    let url;
+    try {
+      url = new URL(link.getAttribute("href"), link.baseURI);
+    } catch {
+      continue;
+    }
+
+    if (!/^https?:$/.test(url.protocol) || url.origin === window.location.origin) continue;
+
+    if (!url.searchParams.has("utm_source")) {
+      for (const [key, value] of Object.entries(DELPHI_MESSAGE_UTM)) url.searchParams.set(key, value);
+      link.href = url.toString();
+    }
+
+    const sponsored = sponsoredHosts.has(url.hostname.replace(/^www\./, ""));
+
+    const rel = new Set((link.getAttribute("rel") || "").split(/\s+/).filter(Boolean));
+    rel.add("noopener");
+    if (sponsored) rel.add("sponsored");
+
+    const desiredRel = [...rel].join(" ");
+    if (link.getAttribute("rel") !== desiredRel) link.setAttribute("rel", desiredRel);
+    if (link.target !== "_blank") link.target = "_blank";
+  }
+}
+
+// Notes go right after the message element (see above), in list order
+function transformDelphiDisclaimers(el, { doc, disclaimers }) {
+  const text = el.textContent || "";
+
+  const shown = new Set();
+  let last = el;
+  while (last.nextElementSibling?.matches(".dv-message-disclaimer")) {
+    last = last.nextElementSibling;
+    shown.add(last.dataset.dvDisclaimer);
+  }
+
+  for (const disclaimer of disclaimers) {
+    if (!disclaimer.match.test(text) || shown.has(disclaimer.id)) continue;
+
+    const note = doc.createElement("p");
+    note.className = "dv-message-disclaimer";
+    note.dataset.dvDisclaimer = disclaimer.id;
+    note.textContent = disclaimer.text;
+    last.after(note);
+    last = note;
+  }
+}
+
+/**
+ * Vendor links open on our site: through the app shell when there is
+ * one (the embed, and the conversation, stay mounted), otherwise in the
+ * top window. Modified clicks (new tab...) are left to the browser.
+ */
+function onDelphiVendorLinkClick(event) {
+  const link = event.target.closest?.("a.dv-vendor-link[href]");
+  if (!link || event.defaultPrevented || event.button !== 0) return;
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+  event.preventDefault();
+
+  if (window.DemandVox.shell) window.DemandVox.shell.navigate(link.href);
+  else window.top.location.href = link.href;
+}
+
+/********************************************************************
+ * Pipeline
+ ********************************************************************/
+function createDelphiMessagePipeline() {
+  const transformers = [];
+  const disclaimers = [...DELPHI_MESSAGE_DISCLAIMERS];
+  let vendors = [];
+  let sponsoredHosts = new Set();
+
+  // element → { text (last seen), since (stable since), processed (text we left) }
+  let messageState = new WeakMap();
+
+  let settleTimer = null;
+  let lastDoc = null;
+
+  // Embed documents with the vendor link click handler (a reload brings a new one)
+  const clickDocs = new WeakSet();
+
+  function use(transformer) {
+    if (!transformer?.name || typeof transformer.transform !== "function") {
+      dvWarn("[delphi-messages] Ignoring transformer without name/transform()", transformer);
+      return;
+    }
+    if (transformers.some((t) => t.name === transformer.name)) return;
+
+    transformers.push({ roles: ["assistant"], ...transformer });
+    reprocess();
+  }
+
+  // Forget what was processed, e.g. when vendors or transformers change
+  function reprocess() {
+    messageState = new WeakMap();
+    if (lastDoc) run(lastDoc);
+  }
+
+  function processMessage(el, role, doc) {
+    const ctx = { doc, role, vendors, sponsoredHosts, disclaimers };
+
+    for (const transformer of transformers) {
+      if (!transformer.roles.includes(role)) continue;
+
+      try {
+        transformer.transform(el, ctx);
+      } catch (e) {
+        dvWarn(`[delphi-messages] Transformer failed: ${transformer.name}`, e);
+      }
+    }
+  }
+
+  function run(doc) {
+    lastDoc = doc;
+
+    if (!clickDocs.has(doc)) {
+      clickDocs.add(doc);
+      doc.addEventListener("click", onDelphiVendorLinkClick);
+    }
+    const now = Date.now();
+    let waiting = false;
+
+    for (const { el, role } of collectDelphiMessageElements(doc)) {
+      const text = el.textContent || "";
+      let state = messageState.get(el);
+
+      if (!state) {
+        state = { text, since: now, processed: null };
+        messageState.set(el, state);
+      }
+
+      // Our own output: nothing new to do
+      if (text === state.processed) continue;
+
+      if (text !== state.text) {
+        state.text = text;
+        state.since = now;
+      }
+
+      // Still streaming (or re-rendering): come back once it settles
+      if (now - state.since < DELPHI_MESSAGE_SETTLE_MS) {
+        waiting = true;
+        continue;
+      }
+
+      processMessage(el, role, doc);
+
+      state.processed = el.textContent || "";
+      state.text = state.processed;
+    }
+
+    // Settling produces no mutation to wake the observer: use a timer
+    if (waiting && !settleTimer) {
+      settleTimer = setTimeout(() => {
+        settleTimer = null;
+        if (lastDoc?.defaultView) run(lastDoc);
+      }, DELPHI_MESSAGE_SETTLE_MS);
+    }
+  }
+
+  function setVendors(list) {
+    vendors = list;
+    sponsoredHosts = getDelphiSponsoredHosts(vendors);
+    reprocess();
+  }
+
+  function loadVendors() {
+    return fetch(DV_CONFIG.vendorDataUrl)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((list) => {
+        setVendors(Array.isArray(list) ? list.filter((vendor) => vendor?.slug && vendor?.name) : []);
+        dvLog(`[delphi-messages] ${vendors.length} vendors loaded`);
+      })
+      .catch((e) => dvWarn("[delphi-messages] Vendor data unavailable, vendor links disabled", e));
+  }
+
+  use({ name: "vendor-links", transform: transformDelphiVendorLinks });
+  use({ name: "outbound-links", transform: transformDelphiOutboundLinks });
+  use({ name: "disclaimers", transform: transformDelphiDisclaimers });
+
+  window.DemandVox.delphi.addRule({ name: "message-pipeline", modes: ["chat_mode"], apply: run });
+
+  onDelphiEvent(DELPHI_EVENTS.OVERRIDES_INJECTED, () => {
+    window.DemandVox.delphi.applyCss(DELPHI_MESSAGE_STYLE_ID, getDelphiMessageCss());
+  });
+
+  loadVendors();
+
+  return {
+    use,
+    addDisclaimer(disclaimer) {
+      disclaimers.push(disclaimer);
+      reprocess();
+    },
+    setVendors,
+    getVendors: () => [...vendors],
+    getTransformers: () => transformers.map((t) => t.name),
+  };
+}
+
+window.DemandVox.messages = createDelphiMessagePipeline();
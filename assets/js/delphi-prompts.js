@@ -0,0 +1,143 @@
+/********************************************************************
+ * Suggested prompt chips
+ * ------------------------------------------------------------------
+ * Buttons on the host page (outside the iframe) that ask the
+ * assistant a ready-made question through the composer bridge
+ * (DemandVox.delphi.sendMessage / prefill, see delphi.js).
+ *
+ * Chips are declared per page, next to their container:
+ *
+ *   <div class="dv-prompt-chips" id="delphi-prompt-chips" hidden></div>
+ *   <script type="application/json" data-dv-prompt-chips>
+ *     [
+ *       { "label": "ABM agency under $10k/mo",
+ *         "text": "Find an ABM agency under $10k/mo" },
+ *       { "label": "Compare intent data", "action": "prefill",
+ *         "text": "Compare intent data providers for " }
+ *     ]
+ *   </script>
+ *
+ * - label:  chip text (required)
+ * - text:   what goes into the composer (default: the label)
+ * - action: "send" (default) or "prefill" (the visitor finishes it)
+ *
+ * API:
+ *   DemandVox.prompts.set([...chips])   // replace the page's chips
+ *   DemandVox.prompts.get()
+ *
+ * The "Try asking:" label follows the locale (i18n.js, "prompts.label");
+ * chip labels are page content, as written.
+ *
+ * Requires config.js + logger.js + i18n.js + delphi.js (loaded before
+ * this file).
+ ********************************************************************/
+const DELPHI_PROMPTS_CONTAINER_ID = "delphi-prompt-chips";
+const DELPHI_PROMPT_ACTIONS = ["send", "prefill"];
+
+function normalizeDelphiPromptChip(chip) {
+  const label = typeof chip?.label === "string" ? chip.label.trim() : "";
+  if (!label) {
+    dvWarn("[delphi-prompts] Ignoring chip without label:", chip);
+    return null;
+  }
+
+  const action = chip.action || "send";
+  if (!DELPHI_PROMPT_ACTIONS.includes(action)) {
+    dvWarn(`[delphi-prompts] Ignoring chip "${label}": unknown action "${action}"`);
+    return null;
+  }
+
+  return { label, text: typeof chip.text === "string" && chip.text.trim() ? chip.text : label, action };
+}
+
+function readPageDelphiPromptChips() {
+  const chips = [];
+
+  for (const script of document.querySelectorAll('script[type="application/json"][data-dv-prompt-chips]')) {
+    try {
+      const parsed = JSON.parse(script.textContent || "[]");
+      const list = Array.isArray(parsed) ? parsed : parsed?.chips;
+
+      if (!Array.isArray(list)) {
+        dvWarn("[delphi-prompts] Chip list must be an array or { chips: [] }", script);
+        continue;
+      }
+
+      chips.push(...list);
+    } catch (e) {
+      dvError("[delphi-prompts] Invalid JSON chip list", e);
+    }
+  }
+
+  return chips;
+}
+
+/********************************************************************
+ * Controller
+ ********************************************************************/
+function createDelphiPromptChips() {
+  let chips = [];
+  let busy = false;
+
+  function run(chip, container) {
+    if (busy) return;
+    busy = true;
+    container.setAttribute("aria-busy", "true");
+
+    const delphi = window.DemandVox.delphi;
+    const request = chip.action === "prefill" ? delphi.prefill(chip.text) : delphi.sendMessage(chip.text);
+
+    request.then((ok) => {
+      busy = false;
+      container.removeAttribute("aria-busy");
+      dvLog(`[delphi-prompts] "${chip.label}" → ${chip.action}: ${ok ? "done" : "failed"}`);
+    });
+  }
+
+  function render() {
+    const container = document.getElementById(DELPHI_PROMPTS_CONTAINER_ID);
+    if (!container) return;
+
+    container.replaceChildren();
+    container.hidden = chips.length === 0 || Boolean(window.DemandVox.embed?.isUnavailable());
+    if (!chips.length) return;
+
+    const label = document.createElement("span");
+    label.className = "dv-prompt-chips-label";
+    label.textContent = translateDelphiText("prompts.label");
+    container.appendChild(label);
+
+    for (const chip of chips) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "dv-prompt-chip";
+      button.textContent = chip.label;
+      if (chip.text !== chip.label) button.title = chip.text;
+      button.addEventListener("click", () => run(chip, container));
+      container.appendChild(button);
+    }
+  }
+
+  function set(list) {
+    chips = (Array.isArray(list) ? list : []).map(normalizeDelphiPromptChip).filter(Boolean);
+    render();
+  }
+
+  // Nothing to type into without the embed
+  onDelphiEvent(DELPHI_EVENTS.UNAVAILABLE, render);
+
+  // Only the label: re-rendering would drop the focus from a chip
+  document.addEventListener(DELPHI_LOCALE_CHANGE_EVENT, () => {
+    const label = document.querySelector(`#${DELPHI_PROMPTS_CONTAINER_ID} .dv-prompt-chips-label`);
+    if (label) label.textContent = translateDelphiText("prompts.label");
+  });
+
+  document.addEventListener("DOMContentLoaded", () => set(readPageDelphiPromptChips()));
+
+  return {
+    set,
+    get: () => chips.map((chip) => ({ ...chip })),
+  };
+}
+
+window.DemandVox.prompts = createDelphiPromptChips();
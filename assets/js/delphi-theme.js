@@ -0,0 +1,233 @@
+/********************************************************************
+ * Delphi theme sync
+ * ------------------------------------------------------------------
+ * Generates a stylesheet for the Delphi iframe from a named theme,
+ * so the embed follows our own design tokens (assets/css/main.css)
+ * instead of a hand-maintained copy of them.
+ *
+ * - Tokens are read from the host page's CSS custom properties
+ *   (DELPHI_THEME_TOKENS) at generation time
+ * - This sheet owns every color, font, radius and spacing value in
+ *   the embed; the static override sheet (getDelphiOverrideCss,
+ *   delphi.js) is layout only, so the two never set the same property
+ * - A theme can override any token, separately for light and dark
+ * - The stylesheet is regenerated live when prefers-color-scheme
+ *   changes, and re-applied after every injection / iframe reload
+ *
+ * The page picks its theme through config ("theme" key), e.g.
+ *   <script src="assets/js/config.js" data-theme="neutral"></script>
+ *
+ * Requires config.js + delphi.js (loaded before this file).
+ ********************************************************************/
+const DELPHI_THEME_STYLE_ID = "dv-delphi-theme";
+
+/**
+ * Theme token → host CSS custom property it is read from.
+ */
+const DELPHI_THEME_TOKENS = {
+  accent: "--accent",
+  accentSoft: "--accent-soft",
+  text: "--text-main",
+  textMuted: "--text-muted",
+  background: "--bg-canvas",
+  border: "--border-subtle",
+  fontFamily: "--font-sans",
+  radius: "--radius-md",
+  radiusLarge: "--radius-lg",
+  spacing: "--space-md",
+  spacingSmall: "--space-sm",
+};
+
+/**
+ * Theme definitions: { light: { token: value }, dark: { token: value } }
+ * Tokens a theme doesn't set are read from the host page.
+ */
+const DELPHI_THEMES = {
+  // Mirror the host page exactly (in dark mode too: if main.css ever
+  // gets dark tokens, the embed follows them automatically)
+  demandvox: {
+    light: {},
+    dark: {},
+  },
+
+  // Host tokens in light mode, our own dark palette in dark mode
+  "demandvox-auto": {
+    light: {},
+    dark: {
+      accent: "#2dd4bf",
+      accentSoft: "rgba(45, 212, 191, 0.12)",
+      text: "#e2e8f0",
+      textMuted: "#94a3b8",
+      background: "#0b1513",
+      border: "#1f2d2a",
+    },
+  },
+
+  neutral: {
+    light: {
+      accent: "#334155",
+      accentSoft: "rgba(51, 65, 85, 0.08)",
+      text: "#0f172a",
+      textMuted: "#64748b",
+      background: "#ffffff",
+      border: "#e2e8f0",
+    },
+    dark: {
+      accent: "#cbd5e1",
+      accentSoft: "rgba(203, 213, 225, 0.12)",
+      text: "#f1f5f9",
+      textMuted: "#94a3b8",
+      background: "#0f172a",
+      border: "#334155",
+    },
+  },
+};
+
+function getPreferredColorScheme() {
+  return window.matchMedia?.("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+}
+
+function readHostThemeTokens() {
+  const styles = getComputedStyle(document.documentElement);
+  const tokens = {};
+
+  for (const [token, property] of Object.entries(DELPHI_THEME_TOKENS)) {
+    const value = styles.getPropertyValue(property).trim();
+    if (value) tokens[token] = value;
+  }
+
+  return tokens;
+}
+
+function resolveDelphiThemeTokens(themeName, scheme) {
+  const theme = DELPHI_THEMES[themeName];
+  return { ...readHostThemeTokens(), ...(theme?.[scheme] || {}) };
+}
+
+/**
+ * Build the iframe stylesheet. Tokens are exposed as --dv-* custom
+ * properties inside the iframe, then used by a small set of rules on
+ * the Delphi surfaces we already depend on elsewhere.
+ */
+function buildDelphiThemeCss(tokens, scheme) {
+  const vars = Object.entries(tokens)
+    .map(([token, value]) => `  --dv-${token.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase())}: ${value};`)
+    .join("\n");
+
+  return `
+:root {
+${vars}
+  color-scheme: ${scheme};
+}
+
+html, body {
+  background: var(--dv-background) !important;
+  color: var(--dv-text) !important;
+  font-family: var(--dv-font-family) !important;
+}
+
+/* Chat top nav + profile/chat containers sit on the page surface */
+nav.from-sand-1.bg-sand-1,
+.delphi-profile-container,
+.delphi-chat-conversation {
+  background: var(--dv-background) !important;
+  color: var(--dv-text) !important;
+}
+
+/* Made a flex bar by the override sheet: our spacing around its items */
+nav.from-sand-1.bg-sand-1 {
+  padding-inline: var(--dv-spacing) !important;
+  gap: var(--dv-spacing-small) !important;
+}
+
+a {
+  color: var(--dv-accent);
+}
+
+button,
+textarea,
+input {
+  font-family: var(--dv-font-family) !important;
+}
+
+textarea,
+input {
+  border-color: var(--dv-border) !important;
+  border-radius: var(--dv-radius-large) !important;
+}
+
+button {
+  border-radius: var(--dv-radius) !important;
+}
+
+textarea::placeholder,
+input::placeholder {
+  color: var(--dv-text-muted) !important;
+}
+
+::selection {
+  background: var(--dv-accent-soft);
+}
+
+button:focus-visible,
+textarea:focus-visible,
+input:focus-visible {
+  outline: 2px solid var(--dv-accent) !important;
+  outline-offset: 2px;
+}
+`;
+}
+
+/********************************************************************
+ * Controller: window.DemandVox.theme
+ * ------------------------------------------------------------------
+ *   DemandVox.theme.getTheme()                 // "demandvox"
+ *   DemandVox.theme.setTheme("neutral")
+ *   DemandVox.theme.registerTheme("brand", { light: {...}, dark: {...} })
+ *   DemandVox.theme.getTokens()                // resolved tokens now
+ ********************************************************************/
+function createDelphiThemeController(initialTheme) {
+  let themeName = DELPHI_THEMES[initialTheme] ? initialTheme : "demandvox";
+
+  if (themeName !== initialTheme) {
+    dvWarn(`[delphi-theme] Unknown theme "${initialTheme}", using "${themeName}"`);
+  }
+
+  function apply() {
+    const scheme = getPreferredColorScheme();
+    const css = buildDelphiThemeCss(resolveDelphiThemeTokens(themeName, scheme), scheme);
+
+    if (window.DemandVox.delphi.applyCss(DELPHI_THEME_STYLE_ID, css)) {
+      dvLog(`[delphi-theme] applied "${themeName}" (${scheme})`);
+    }
+  }
+
+  // Every injection (first load, reload, bridge handshake) gets the theme
+  onDelphiEvent(DELPHI_EVENTS.OVERRIDES_INJECTED, apply);
+
+  // Follow light/dark changes live
+  window.matchMedia?.("(prefers-color-scheme: dark)").addEventListener?.("change", apply);
+
+  return {
+    getTheme: () => themeName,
+
+    setTheme(name) {
+      if (!DELPHI_THEMES[name]) {
+        dvWarn(`[delphi-theme] Unknown theme "${name}"`);
+        return;
+      }
+      themeName = name;
+      apply();
+    },
+
+    registerTheme(name, definition) {
+      DELPHI_THEMES[name] = { light: {}, dark: {}, ...definition };
+    },
+
+    getTokens: () => resolveDelphiThemeTokens(themeName, getPreferredColorScheme()),
+
+    apply,
+  };
+}
+
+window.DemandVox.theme = createDelphiThemeController(DV_CONFIG.theme);
@@ -0,0 +1,346 @@
+/********************************************************************
+ * Chat transcript: capture, persistence, export
+ * ------------------------------------------------------------------
+ * Visitors want to keep the vendor recommendations the assistant
+ * gives them. This module:
+ *
+ * - captures messages as they stream in, through a watcher runtime
+ *   rule (DemandVox.delphi.addRule), so it rides the single observer
+ *   and survives iframe reloads. Messages are found with the
+ *   @userMessage / @assistantMessage registry entries
+ * - tags each one with its role ("user" | "assistant") and the time
+ *   it was first seen; streamed assistant text is updated in place
+ * - keeps the transcript in localStorage, one entry per visitor
+ *   session (session id in sessionStorage), pruned to the latest
+ *   DELPHI_TRANSCRIPT_MAX_SESSIONS
+ * - exports Markdown, JSON or a printable HTML page, and offers a
+ *   "Clear my data" control (#delphi-transcript-tools, labelled in
+ *   the visitor's locale with i18n.js: "transcript.*" keys)
+ *
+ * Same-origin embeds only: function rules don't cross the bridge.
+ *
+ * API:
+ *   DemandVox.transcript.get()              // { sessionId, startedAt, updatedAt, messages }
+ *   DemandVox.transcript.toMarkdown() / toJSON() / toHtml()
+ *   DemandVox.transcript.download("markdown" | "json")
+ *   DemandVox.transcript.print()
+ *   DemandVox.transcript.clear()            // every stored session
+ *
+ * Requires config.js + logger.js + i18n.js + layout.js + delphi.js
+ * (loaded before this file).
+ ********************************************************************/
+const DELPHI_TRANSCRIPT_STORAGE_PREFIX = "dv:transcript:";
+const DELPHI_TRANSCRIPT_SESSION_KEY = "dv:transcript-session";
+const DELPHI_TRANSCRIPT_MAX_SESSIONS = 5;
+const DELPHI_TRANSCRIPT_SAVE_DELAY_MS = 500;
+const DELPHI_TRANSCRIPT_TOOLS_ID = "delphi-transcript-tools";
+
+function getDelphiTranscriptSessionId() {
+  try {
+    let id = sessionStorage.getItem(DELPHI_TRANSCRIPT_SESSION_KEY);
+    if (!id) {
+      id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      sessionStorage.setItem(DELPHI_TRANSCRIPT_SESSION_KEY, id);
+    }
+    return id;
+  } catch {
+    // storage unavailable: in-memory only for this page
+    return `${Date.now().toString(36)}-volatile`;
+  }
+}
+
+function listStoredDelphiTranscriptKeys() {
+  try {
+    return Object.keys(localStorage).filter((key) => key.startsWith(DELPHI_TRANSCRIPT_STORAGE_PREFIX));
+  } catch {
+    return [];
+  }
+}
+
+function readStoredDelphiTranscript(sessionId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DELPHI_TRANSCRIPT_STORAGE_PREFIX + sessionId) || "null");
+    return Array.isArray(stored?.messages) ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+function readDelphiMessageText(el) {
+  // innerText keeps the visible line breaks (lists of vendors...)
+  return (el.innerText ?? el.textContent ?? "").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+function formatDelphiTranscriptTime(iso) {
+  return new Date(iso).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+}
+
+function getDelphiTranscriptSpeaker(role) {
+  return role === "user" ? "You" : DV_CONFIG.assistantName;
+}
+
+/********************************************************************
+ * Controller
+ ********************************************************************/
+function createDelphiTranscript() {
+  const sessionId = getDelphiTranscriptSessionId();
+
+  let transcript = readStoredDelphiTranscript(sessionId) || {
+    sessionId,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    messages: [],
+  };
+
+  // Where the current DOM conversation starts in transcript.messages
+  // (moves when the visitor starts a new chat in the same session)
+  let domOffset = 0;
+
+  // After clear(): how many on-screen messages belong to the cleared
+  // data (null = measure on the next capture)
+  let skipCount = 0;
+
+  let saveTimer = null;
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    try {
+      localStorage.setItem(DELPHI_TRANSCRIPT_STORAGE_PREFIX + sessionId, JSON.stringify(transcript));
+
+      // Keep only the most recent sessions
+      const sessions = listStoredDelphiTranscriptKeys()
+        .map((key) => ({ key, updatedAt: JSON.parse(localStorage.getItem(key) || "{}").updatedAt || "" }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+      for (const { key } of sessions.slice(DELPHI_TRANSCRIPT_MAX_SESSIONS)) localStorage.removeItem(key);
+    } catch (e) {
+      dvWarn("[delphi-transcript] Could not persist transcript", e);
+    }
+  }
+
+  function scheduleSave() {
+    if (!saveTimer) saveTimer = setTimeout(save, DELPHI_TRANSCRIPT_SAVE_DELAY_MS);
+  }
+
+  /**
+   * Rule body: sync transcript.messages with the DOM conversation.
+   * Idempotent, like every watcher rule: only writes on differences.
+   */
+  function capture(doc) {
+    const elements = collectDelphiMessageElements(doc);
+
+    if (skipCount === null) skipCount = elements.length;
+    if (elements.length < skipCount) skipCount = 0; // the cleared conversation is gone
+
+    const found = elements
+      .slice(skipCount)
+      .map(({ el, role }) => ({ role, text: readDelphiMessageText(el) }))
+      .filter((message) => message.text);
+
+    if (!found.length) return;
+
+    // A different first message means a new conversation: append after
+    // what we have instead of overwriting it
+    const first = transcript.messages[domOffset];
+    if (first && (first.role !== found[0].role || !found[0].text.startsWith(first.text.slice(0, 40)))) {
+      domOffset = transcript.messages.length;
+    }
+
+    let changed = false;
+
+    found.forEach(({ role, text }, i) => {
+      const existing = transcript.messages[domOffset + i];
+
+      if (!existing) {
+        transcript.messages.push({ role, text, at: new Date().toISOString() });
+        changed = true;
+        return;
+      }
+
+      // Streaming: the assistant message grows while it's being written
+      if (existing.role === role && existing.text !== text) {
+        existing.text = text;
+        changed = true;
+      }
+    });
+
+    if (!changed) return;
+
+    transcript.updatedAt = new Date().toISOString();
+    scheduleSave();
+    renderTools();
+  }
+
+  /********************************************************************
+   * Export
+   ********************************************************************/
+  function toMarkdown() {
+    const lines = [`# Conversation with ${DV_CONFIG.assistantName}`, "", `_${formatDelphiTranscriptTime(transcript.startedAt)}_`, ""];
+
+    for (const message of transcript.messages) {
+      lines.push(`**${getDelphiTranscriptSpeaker(message.role)}** · ${formatDelphiTranscriptTime(message.at)}`, "", message.text, "");
+    }
+
+    return lines.join("\n");
+  }
+
+  function toJSON() {
+    return JSON.stringify(transcript, null, 2);
+  }
+
+  function toHtml() {
+    const title = `Conversation with ${escapeLayoutHtml(DV_CONFIG.assistantName)}`;
+    const messages = transcript.messages
+      .map(
+        (message) => `
+  <section class="${message.role}">
+    <h2>${escapeLayoutHtml(getDelphiTranscriptSpeaker(message.role))} <time>${escapeLayoutHtml(formatDelphiTranscriptTime(message.at))}</time></h2>
+    <p>${escapeLayoutHtml(message.text).replace(/\n/g, "<br>")}</p>
+  </section>`
+      )
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${title}</title>
+  <style>
+    body { font: 15px/1.55 system-ui, -apple-system, sans-serif; color: #0f172a; max-width: 720px; margin: 40px auto; padding: 0 20px; }
+    h1 { font-size: 1.4rem; margin-bottom: 4px; }
+    h2 { font-size: 0.9rem; margin: 0 0 4px; color: #0f766e; }
+    section.user h2 { color: #6b7280; }
+    time { font-weight: 400; color: #6b7280; margin-left: 6px; }
+    section { padding: 12px 0; border-top: 1px solid #e2e8f0; break-inside: avoid; }
+    p { margin: 0; }
+    @media print { button { display: none; } }
+  </style>
+</head>
+<body>
+  <button onclick="window.print()">Print</button>
+  <h1>${title}</h1>
+  <p>${escapeLayoutHtml(formatDelphiTranscriptTime(transcript.startedAt))} · demandvox.com</p>${messages}
+</body>
+</html>`;
+  }
+
+  function download(format) {
+    const formats = {
+      markdown: { content: toMarkdown, type: "text/markdown", ext: "md" },
+      json: { content: toJSON, type: "application/json", ext: "json" },
+    };
+    const chosen = formats[format];
+    if (!chosen) {
+      dvWarn(`[delphi-transcript] Unknown export format "${format}"`);
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([chosen.content()], { type: chosen.type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `demandvox-conversation-${transcript.startedAt.slice(0, 10)}.${chosen.ext}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function print() {
+    const url = URL.createObjectURL(new Blob([toHtml()], { type: "text/html" }));
+    window.open(url, "_blank", "noopener");
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  function clear() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    try {
+      for (const key of listStoredDelphiTranscriptKeys()) localStorage.removeItem(key);
+    } catch {
+      // storage unavailable: nothing was stored either
+    }
+
+    transcript = { sessionId, startedAt: new Date().toISOString(), updatedAt: null, messages: [] };
+    domOffset = 0;
+
+    // Messages still on screen are not captured again
+    const iframe = window.DemandVox.delphi.getIframe();
+    const doc = iframe && getIframeDoc(iframe);
+    skipCount = doc ? collectDelphiMessageElements(doc).length : null;
+
+    renderTools();
+    dvLog("[delphi-transcript] stored transcripts cleared");
+  }
+
+  /********************************************************************
+   * Host-page controls
+   ********************************************************************/
+  function renderTools() {
+    const container = document.getElementById(DELPHI_TRANSCRIPT_TOOLS_ID);
+    if (!container) return;
+
+    container.hidden = transcript.messages.length === 0;
+    if (container.hidden || container.childElementCount) return;
+
+    const label = document.createElement("span");
+    label.className = "dv-transcript-label";
+    label.dataset.dvText = "transcript.save";
+
+    // { textKey } (i18n.js) or { text }: format names aren't translated
+    const button = ({ text, textKey }, onClick, className = "dv-transcript-button") => {
+      const el = document.createElement("button");
+      el.type = "button";
+      el.className = className;
+      if (textKey) el.dataset.dvText = textKey;
+      else el.textContent = text;
+      el.addEventListener("click", onClick);
+      return el;
+    };
+
+    container.append(
+      label,
+      button({ text: "Markdown" }, () => download("markdown")),
+      button({ text: "JSON" }, () => download("json")),
+      button({ textKey: "transcript.print" }, print),
+      button(
+        { textKey: "transcript.clear" },
+        () => {
+          if (window.confirm(translateDelphiText("transcript.clearConfirm"))) clear();
+        },
+        "dv-transcript-button is-danger"
+      )
+    );
+
+    localizeTools();
+  }
+
+  function localizeTools() {
+    for (const el of document.querySelectorAll(`#${DELPHI_TRANSCRIPT_TOOLS_ID} [data-dv-text]`)) {
+      el.textContent = translateDelphiText(el.dataset.dvText);
+    }
+  }
+
+  window.DemandVox.delphi.addRule({
+    name: "transcript-capture",
+    modes: ["chat_mode"],
+    apply: capture,
+  });
+
+  document.addEventListener("DOMContentLoaded", renderTools);
+  document.addEventListener(DELPHI_LOCALE_CHANGE_EVENT, localizeTools);
+
+  return {
+    get: () => JSON.parse(JSON.stringify(transcript)),
+    toMarkdown,
+    toJSON,
+    toHtml,
+    download,
+    print,
+    clear,
+  };
+}
+
+window.DemandVox.transcript = createDelphiTranscript();
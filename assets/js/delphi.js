@@ -1,52 +1,178 @@
+/********************************************************************
+ * Configuration
+ * ------------------------------------------------------------------
+ * Values come from assets/js/config.js (defaults, per-environment
+ * profiles, window.DemandVoxConfig and data-* overrides). It must be
+ * loaded before this file, followed by assets/js/logger.js (dvLog /
+ * dvWarn / dvError) — on the host page and, for the frame agent,
+ * inside the embed too. On the host page, i18n.js + layout.js as well
+ * (host copy, normalizeLayoutPath for the history sync).
+ ********************************************************************/
+if (!window.DemandVox?.config || !window.DemandVox?.log) {
+  throw new Error("[delphi] assets/js/config.js and assets/js/logger.js must be loaded before delphi.js");
+}
+
+const DV_CONFIG = window.DemandVox.config;
+const DV_ENV = window.DemandVox.env;
+
 /********************************************************************
  * Constants 
  ********************************************************************/
-const MIN_IFRAME_VIEWPORT_RATIO = 0.87;
-const INTRO_TITLE = "Hi, I'm Michael";
-const RESIZE_INTERVAL_MS = 1500;
+const MIN_IFRAME_VIEWPORT_RATIO = DV_CONFIG.minIframeViewportRatio;
+const INTRO_TITLE = DV_CONFIG.introTitle;
+const RESIZE_INTERVAL_MS = DV_CONFIG.resizeIntervalMs;
+const DELPHI_IFRAME_SELECTOR = DV_CONFIG.iframeSelector;
+
+// Dispatched by i18n.js (host page only: not loaded with the frame agent)
+const DELPHI_LOCALE_CHANGE_EVENT = "dv:locale-change";
+
+/********************************************************************
+ * Logging
+ * ------------------------------------------------------------------
+ * dvLog / dvWarn / dvError come from assets/js/logger.js: verbose on
+ * preview + local (config.logLevel = "debug"), errors only in
+ * production, per-namespace levels at runtime, e.g.
+ *   DemandVox.log.setLevel("delphi-resize", "debug")
+ ********************************************************************/
 
 /********************************************************************
- * Environment + logging
+ * Delphi selector registry
  * ------------------------------------------------------------------
- * We want verbose logs on preview instances (*.pages.dev)
- * to debug embed behavior, but silence logs on production domains.
+ * Every Delphi DOM dependency lives here (these are undocumented
+ * internals of the embed, so they drift when Delphi ships a redesign).
+ *
+ * Each entry lists selectors tried in order: the first one is what we
+ * target today, the next ones are fallbacks kept working when the
+ * primary disappears. The health check (see "Selector health") records
+ * which one matched, so a fallback in use shows up as "degraded" before
+ * everything stops matching.
  *
- * IMPORTANT:
- * - Preview: hostname endsWith(".pages.dev")  → logs ON
- * - Production: everything else               → logs OFF
+ * - modes:    views where the element is expected (omit = every view)
+ * - required: the integration is broken without it (vs. cosmetic)
+ * - optional: may legitimately be absent (e.g. messages in a new chat):
+ *             only a fallback match is reported, never a miss
+ *
+ * Rule specs reference entries as "@key" instead of a raw selector:
+ *   { "type": "forceText", "selector": "@overviewTitle", "text": "Hi!" }
  ********************************************************************/
-function isPreviewHost() {
-  try {
-    return window.location.hostname.endsWith(".pages.dev");
-  } catch {
-    return false;
-  }
-}
+const DELPHI_SELECTORS = {
+  // View containers (mode detection + height measurement)
+  chatConversation: {
+    selectors: [".delphi-chat-conversation", "[data-sentry-component='ChatConversation']"],
+    modes: ["chat_mode"],
+    required: true,
+  },
+  talkView: {
+    selectors: ["[data-sentry-component='Talk']", ".delphi-talk-container"],
+    modes: ["chat_mode"],
+  },
+  profileContainer: {
+    selectors: [".delphi-profile-container", "[data-sentry-component='Profile']"],
+    modes: ["overview_mode"],
+    required: true,
+  },
+  callContainer: {
+    selectors: [".delphi-call-container", "[data-sentry-component='Call']"],
+    modes: ["call_mode"],
+    required: true,
+  },
+
+  // Elements our rules and override CSS act on
+  overviewTitle: {
+    selectors: [".delphi-profile-container header h1.text-xl.font-medium", ".delphi-profile-container header h1"],
+    modes: ["overview_mode"],
+  },
+  talkTitle: {
+    selectors: ["h1.delphi-talk-title-text", "[data-sentry-component='TalkTitle'] h1"],
+    modes: ["chat_mode"],
+  },
+  chatNav: {
+    selectors: ["nav.from-sand-1.bg-sand-1", "nav:has([data-sentry-component='TalkTitle'])"],
+    modes: ["chat_mode"],
+  },
+  headerLogo: {
+    selectors: ["button.delphi-header-logo"],
+    modes: ["chat_mode"],
+  },
+  composer: {
+    // the composer is the only textarea in chat view
+    selectors: ["textarea"],
+    modes: ["chat_mode"],
+    required: true,
+  },
+  sendButton: {
+    // optional: the composer bridge falls back to pressing Enter
+    selectors: ["[data-sentry-component='SendButton'] button", "button[type='submit']", "button[aria-label='Send message']"],
+    modes: ["chat_mode"],
+    optional: true,
+  },
+
+  // Conversation messages (transcript capture)
+  userMessage: {
+    selectors: [".delphi-chat-message-user", "[data-sentry-component='UserMessage']", "[data-message-role='user']"],
+    modes: ["chat_mode"],
+    optional: true,
+  },
+  assistantMessage: {
+    selectors: [".delphi-chat-message-clone", "[data-sentry-component='CloneMessage']", "[data-message-role='assistant']"],
+    modes: ["chat_mode"],
+    optional: true,
+  },
+
+  // Controls that switch view (see DELPHI_VIEW_TRIGGERS)
+  overviewTrigger: {
+    selectors: ["a.delphi-talk-title-link", "[data-sentry-component='TalkTitle'] a"],
+    modes: ["chat_mode"],
+  },
+  chatTrigger: {
+    selectors: ["[data-sentry-component='ChatButton'] button", "a[href$='/talk']", "button.delphi-chat-button"],
+    modes: ["overview_mode"],
+  },
+  callTrigger: {
+    selectors: ["[data-sentry-component='CallButton'] button", "a[href$='/call']", "button.delphi-call-button"],
+    modes: ["overview_mode"],
+  },
+};
 
 /**
- * Debug flag used throughout this file.
- * You can also override manually in DevTools if needed:
- *   window.__DV_DEBUG__ = true;
+ * Returns { key, selector, index } for the first selector of the entry
+ * that matches (index 0 = primary, > 0 = fallback), or null.
  */
-const DV_DEBUG = isPreviewHost() || Boolean(window.__DV_DEBUG__);
+function resolveDelphiSelector(doc, key) {
+  const entry = DELPHI_SELECTORS[key];
+  if (!doc || !entry) return null;
 
-/**
- * Centralized logger (so production stays quiet).
- * Keep usage consistent:
- *   dvLog("[feature] message", extra)
- *   dvWarn("[feature] warning", extra)
- *   dvError("[feature] error", extra)  // usually still important in prod
- */
-function dvLog(...args) {
-  if (DV_DEBUG) console.log(...args);
+  for (const [index, selector] of entry.selectors.entries()) {
+    try {
+      if (doc.querySelector(selector)) return { key, selector, index };
+    } catch {
+      // e.g. :has() on an engine without support: try the next one
+    }
+  }
+  return null;
+}
+
+function queryDelphiSelector(doc, key) {
+  const match = resolveDelphiSelector(doc, key);
+  return match ? doc.querySelector(match.selector) : null;
 }
-function dvWarn(...args) {
-  if (DV_DEBUG) console.warn(...args);
+
+function queryDelphiSelectorAll(doc, key) {
+  const match = resolveDelphiSelector(doc, key);
+  return match ? Array.from(doc.querySelectorAll(match.selector)) : [];
 }
-function dvError(...args) {
-  // keep errors even in production because they signal breakage.
-  // If you want them silent too, change this to: if (DV_DEBUG) console.error(...)
-  console.error(...args);
+
+/**
+ * Message elements of the conversation, in document order, tagged
+ * with their role (transcript, message pipeline).
+ */
+function collectDelphiMessageElements(doc) {
+  const found = [
+    ...queryDelphiSelectorAll(doc, "userMessage").map((el) => ({ el, role: "user" })),
+    ...queryDelphiSelectorAll(doc, "assistantMessage").map((el) => ({ el, role: "assistant" })),
+  ];
+
+  return found.sort((a, b) => (a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
 }
 
 /********************************************************************
@@ -56,21 +182,86 @@ function getDelphiMode(doc) {
   if (!doc) return "unknown_mode";
 
   // CHAT view: conversation + composer
-  if (doc.querySelector(".delphi-chat-conversation")) {
+  if (resolveDelphiSelector(doc, "chatConversation")) {
     return "chat_mode";
   }
 
   // OVERVIEW / PROFILE view
-  if (doc.querySelector(".delphi-profile-container")) {
+  if (resolveDelphiSelector(doc, "profileContainer")) {
     return "overview_mode";
   }
 
-  if (doc.querySelector(".delphi-call-container")) {
+  if (resolveDelphiSelector(doc, "callContainer")) {
     return "call_mode";
   }
   return "unknown_mode";
 }
 
+/********************************************************************
+ * Host-page event bus
+ * ------------------------------------------------------------------
+ * Lifecycle + mode changes are dispatched as CustomEvents on the
+ * parent window, so the host page can react (hide the banner in chat,
+ * track conversions, show CTAs...):
+ *
+ *   window.addEventListener(DELPHI_EVENTS.MODE_CHANGE, (e) => {
+ *     console.log(e.detail.previous, "→", e.detail.mode);
+ *   });
+ *
+ * Listeners added that way only see future events. onDelphiEvent()
+ * also replays the latest event of that type (the current state) to
+ * late subscribers, flagged with detail.replayed = true:
+ *
+ *   const off = onDelphiEvent(DELPHI_EVENTS.MODE_CHANGE, (e) => ...);
+ *   off(); // unsubscribe
+ ********************************************************************/
+const DELPHI_EVENTS = {
+  IFRAME_FOUND: "dv:delphi:iframe-found", // { iframe, selector }
+  OVERRIDES_INJECTED: "dv:delphi:overrides-injected", // { iframe, via: "direct" | "bridge" }
+  MODE_CHANGE: "dv:delphi:mode-change", // { iframe, previous, mode } (previous is null initially)
+  IFRAME_RELOADED: "dv:delphi:iframe-reloaded", // { iframe, loadCount } (1 = first navigation)
+  TIMEOUT: "dv:delphi:timeout", // { selector, waitedMs }
+  HEALTH_CHANGE: "dv:delphi:health-change", // { previous, status, problems, report }
+  UNAVAILABLE: "dv:delphi:unavailable", // { reason, attempts } (see delphi-embed.js)
+  KEYBOARD_CHANGE: "dv:delphi:keyboard-change", // { iframe, open, keyboardHeight } (mobile on-screen keyboard)
+};
+
+// Latest detail per event type, replayed to late subscribers
+const delphiEventState = new Map();
+
+function emitDelphiEvent(type, detail = {}) {
+  const fullDetail = { ...detail, type, timestamp: Date.now() };
+  delphiEventState.set(type, fullDetail);
+
+  dvLog("[delphi-events]", type, fullDetail);
+  window.dispatchEvent(new CustomEvent(type, { detail: fullDetail }));
+}
+
+function onDelphiEvent(type, handler, { replay = true } = {}) {
+  window.addEventListener(type, handler);
+
+  if (replay && delphiEventState.has(type)) {
+    const replayed = new CustomEvent(type, {
+      detail: { ...delphiEventState.get(type), replayed: true },
+    });
+
+    // Async, so the handler never runs before onDelphiEvent() returns
+    queueMicrotask(() => {
+      try {
+        handler(replayed);
+      } catch (e) {
+        dvError(`[delphi-events] Replay handler failed for ${type}`, e);
+      }
+    });
+  }
+
+  return () => offDelphiEvent(type, handler);
+}
+
+function offDelphiEvent(type, handler) {
+  window.removeEventListener(type, handler);
+}
+
 /********************************************************************
  * Delphi DOM Watchers (extensible rules, single observer)
  ********************************************************************/
@@ -83,27 +274,75 @@ function getIframeDoc(iframe) {
   }
 }
 
+/**
+ * One runtime per iframe *document*. It owns everything installed for
+ * that document (observer, rules, resize engine + its host listeners),
+ * and destroy() tears all of it down. A reloaded iframe gets a new
+ * document, hence a fresh runtime; the WeakMap lets old ones go.
+ */
+const delphiWatcherRuntimes = new WeakMap();
+
 function ensureDelphiWatcherRuntime(iframe) {
-  const doc = getIframeDoc(iframe);
+  return ensureDelphiWatcherRuntimeForDoc(getIframeDoc(iframe));
+}
+
+function getDelphiWatcherRuntime(doc) {
+  return (doc && delphiWatcherRuntimes.get(doc)) || null;
+}
+
+/**
+ * Document-level variant: used directly by the frame agent, which runs
+ * inside the Delphi document and has no <iframe> element to start from.
+ */
+function ensureDelphiWatcherRuntimeForDoc(doc) {
   if (!doc || !doc.body) return null;
 
   // Create a single runtime per iframe document
-  if (doc.__dvWatcherRuntime) return doc.__dvWatcherRuntime;
+  const existing = delphiWatcherRuntimes.get(doc);
+  if (existing) return existing;
 
   const runtime = {
     installed: false,
+    doc,
     rules: [],
     runAll: null,
+    domRulesInstalled: false,
+    autoResize: null,
+    health: null,
+    ruleStats: new Map(), // name → { runs, lastAppliedAt, lastDurationMs, lastError }
+    cleanups: [],
+    onDestroy: null,
+    destroy: null,
   };
 
   const runAll = () => {
+    // A frame may still be scheduled when the runtime is torn down
+    if (!runtime.installed) return;
+
+    // Resolve the mode once per pass so mode-scoped rules can be skipped cheaply
+    const mode = getDelphiMode(doc);
+
     for (const rule of runtime.rules) {
+      if (!ruleAppliesInMode(rule, mode)) continue;
+
+      const stats = runtime.ruleStats.get(rule.name) || { runs: 0, lastAppliedAt: null, lastDurationMs: null, lastError: null };
+      runtime.ruleStats.set(rule.name, stats);
+
+      const startedAt = performance.now();
       try {
         rule.apply(doc);
+        stats.lastError = null;
       } catch (e) {
+        stats.lastError = String(e?.message || e);
         dvWarn(`[delphi] Rule failed: ${rule.name}`, e);
       }
+
+      stats.runs++;
+      stats.lastAppliedAt = Date.now();
+      stats.lastDurationMs = Math.round((performance.now() - startedAt) * 100) / 100;
     }
+
+    runtime.health.schedule();
   };
   runtime.runAll = runAll;
 
@@ -122,8 +361,29 @@ function ensureDelphiWatcherRuntime(iframe) {
   const obs = new MutationObserver(scheduleRun);
   obs.observe(doc.body, { childList: true, subtree: true, characterData: true });
 
+  // Register teardown work for anything installed on top of this document
+  runtime.onDestroy = (cleanup) => runtime.cleanups.push(cleanup);
+
+  runtime.destroy = () => {
+    if (!runtime.installed) return;
+    runtime.installed = false;
+
+    obs.disconnect();
+    for (const cleanup of runtime.cleanups.splice(0).reverse()) {
+      try {
+        cleanup();
+      } catch (e) {
+        dvWarn("[delphi] Runtime cleanup failed", e);
+      }
+    }
+
+    delphiWatcherRuntimes.delete(doc);
+    dvLog("[delphi] Watcher runtime destroyed");
+  };
+
   runtime.installed = true;
-  doc.__dvWatcherRuntime = runtime;
+  runtime.health = createDelphiHealthTracker(runtime);
+  delphiWatcherRuntimes.set(doc, runtime);
 
   // Run once immediately as well
   runAll();
@@ -132,7 +392,10 @@ function ensureDelphiWatcherRuntime(iframe) {
 }
 
 function addDelphiDomRule(iframe, rule) {
-  const runtime = ensureDelphiWatcherRuntime(iframe);
+  addDelphiDomRuleToRuntime(ensureDelphiWatcherRuntime(iframe), rule);
+}
+
+function addDelphiDomRuleToRuntime(runtime, rule) {
   if (!runtime) return;
 
   // Avoid duplicates if inject runs multiple times
@@ -144,528 +407,2678 @@ function addDelphiDomRule(iframe, rule) {
   runtime.runAll();
 }
 
+function replaceDelphiDomRuleInRuntime(runtime, rule) {
+  const index = runtime?.rules.findIndex((r) => r.name === rule.name) ?? -1;
+  if (index === -1) {
+    addDelphiDomRuleToRuntime(runtime, rule);
+    return;
+  }
+
+  runtime.rules[index] = rule;
+  runtime.runAll();
+}
+
+/********************************************************************
+ * Rule scoping helpers
+ * ------------------------------------------------------------------
+ * Every builder below accepts the same optional scoping keys:
+ * - modes: "chat_mode" or ["chat_mode", "overview_mode"]
+ *          → the rule only runs while getDelphiMode() matches
+ * - all:   true → apply to every querySelectorAll() match
+ *          (default: first match only, like the original rules)
+ *
+ * selector (and moveElement's target) may be a raw CSS selector or a
+ * "@key" reference to DELPHI_SELECTORS, which brings its fallbacks.
+ ********************************************************************/
+function normalizeRuleModes(modes) {
+  if (!modes) return null;
+  const list = Array.isArray(modes) ? modes : [modes];
+  return list.length ? list.map(String) : null;
+}
+
+function ruleAppliesInMode(rule, mode) {
+  return !rule.modes || rule.modes.includes(mode);
+}
+
+function isDelphiSelectorRef(selector) {
+  return typeof selector === "string" && selector.startsWith("@");
+}
+
+function queryRuleTargets(doc, selector, all) {
+  if (isDelphiSelectorRef(selector)) {
+    const key = selector.slice(1);
+    if (all) return queryDelphiSelectorAll(doc, key);
+
+    const el = queryDelphiSelector(doc, key);
+    return el ? [el] : [];
+  }
+
+  if (all) return Array.from(doc.querySelectorAll(selector));
+
+  const el = doc.querySelector(selector);
+  return el ? [el] : [];
+}
+
+// Builders accept either a static value or a getter (for values read at apply time)
+function resolveRuleValue(value) {
+  return typeof value === "function" ? value() : value;
+}
+
+/**
+ * Host-page copy (jump button, prompt chips, transcript tools, fallback
+ * panel) in the active locale. Host page only: the frame agent has no
+ * i18n.js.
+ */
+function translateDelphiText(key, params = {}) {
+  return window.DemandVox.i18n.t(key, params);
+}
+
+/**
+ * A rule's textKey in the active locale (i18n.js), or its text where
+ * there's no dictionary (the frame agent, a key i18n.js doesn't know).
+ */
+function translateDelphiRuleText(textKey, textParams, fallback) {
+  return textKey && window.DemandVox.i18n?.has(textKey) ? translateDelphiText(textKey, textParams) : resolveRuleValue(fallback);
+}
+
+// Specs crossing the bridge: the agent has no dictionary, send the text
+function localizeDelphiRuleSpecs(specs) {
+  return specs.map((spec) => (spec?.textKey ? { ...spec, text: translateDelphiRuleText(spec.textKey, spec.textParams, spec.text) } : spec));
+}
+
 /********************************************************************
  * Rule builders
  * Add reusable rule builders (so adding more later is easy)
- *   Later, when you want more behaviors, you add more builders like: ruleSetAttribute,
- *   ruleMoveElement, ruleSwapImageSrc, ruleRemoveElement …without adding more observers.
+ *   Each builder returns { name, modes, apply(doc) } and must be idempotent:
+ *   the single observer re-runs every rule on each DOM mutation, so a rule
+ *   only writes when the DOM differs from what it wants.
  ********************************************************************/
-function ruleForceText({ name, selector, getText }) {
+function ruleForceText({ name, selector, getText, text, textKey, textParams, modes, all }) {
   return {
     name,
+    modes: normalizeRuleModes(modes),
     apply(doc) {
-      const el = doc.querySelector(selector);
-      if (!el) return;
+      const desired = String(getText ? getText() : translateDelphiRuleText(textKey, textParams, text));
 
-      const desired = String(getText());
-      const current = (el.textContent || "").trim();
+      for (const el of queryRuleTargets(doc, selector, all)) {
+        const current = (el.textContent || "").trim();
 
-      if (current !== desired) {
-        el.textContent = desired;
-        dvLog(`[delphi] ${name}: text updated`);
+        if (current !== desired) {
+          el.textContent = desired;
+          dvLog(`[delphi] ${name}: text updated`);
+        }
       }
     },
   };
 }
 
-function ruleHideButKeepLayout({ name, selector }) {
+function ruleHideButKeepLayout({ name, selector, modes, all }) {
   return {
     name,
+    modes: normalizeRuleModes(modes),
     apply(doc) {
-      const el = doc.querySelector(selector);
-      if (!el) return;
-
-      if (el.style.visibility !== "hidden") {
-        el.style.visibility = "hidden";
-        dvLog(`[delphi] ${name}: hidden (layout preserved)`);
+      for (const el of queryRuleTargets(doc, selector, all)) {
+        if (el.style.visibility !== "hidden") {
+          el.style.visibility = "hidden";
+          dvLog(`[delphi] ${name}: hidden (layout preserved)`);
+        }
       }
     },
   };
 }
 
-/********************************************************************
- * Register all DOM enforcement rules
- ********************************************************************/
-function registerDelphiDomRules(iframe) {
-  //Add “install once” guard to DOM watcher runtime
-  if (iframe.__dvDomRulesInstalled) return;
-  iframe.__dvDomRulesInstalled = true;
-
-  // Profile/Overview H1: "Hi, I'm Michael"
-  addDelphiDomRule(
-    iframe,
-    ruleForceText({
-      name: "overview-title",
-      selector: ".delphi-profile-container header h1.text-xl.font-medium",
-      getText: () => INTRO_TITLE,
-    })
-  );
-
-  // Chat header title: hide but keep layout (your existing requirement)
-  addDelphiDomRule(
-    iframe,
-    ruleHideButKeepLayout({
-      name: "chat-header-title-hidden",
-      selector: "h1.delphi-talk-title-text",
-    })
-  );
+/**
+ * Set (or remove, when value is null) an attribute on matching elements.
+ */
+function ruleSetAttribute({ name, selector, attribute, value, modes, all }) {
+  return {
+    name,
+    modes: normalizeRuleModes(modes),
+    apply(doc) {
+      const desired = resolveRuleValue(value);
+
+      for (const el of queryRuleTargets(doc, selector, all)) {
+        if (desired === null || desired === undefined) {
+          if (el.hasAttribute(attribute)) {
+            el.removeAttribute(attribute);
+            dvLog(`[delphi] ${name}: ${attribute} removed`);
+          }
+          continue;
+        }
+
+        if (el.getAttribute(attribute) !== String(desired)) {
+          el.setAttribute(attribute, String(desired));
+          dvLog(`[delphi] ${name}: ${attribute} set`);
+        }
+      }
+    },
+  };
 }
 
+/**
+ * Move matching elements next to / inside a target element.
+ * position follows insertAdjacentElement():
+ *   "beforebegin" | "afterbegin" | "beforeend" | "afterend"
+ */
+function ruleMoveElement({ name, selector, target, position = "beforeend", modes, all }) {
+  function isAlreadyPlaced(el, targetEl) {
+    if (position === "beforebegin") return targetEl.previousElementSibling === el;
+    if (position === "afterbegin") return targetEl.firstElementChild === el;
+    if (position === "afterend") return targetEl.nextElementSibling === el;
+    return targetEl.lastElementChild === el;
+  }
 
+  return {
+    name,
+    modes: normalizeRuleModes(modes),
+    apply(doc) {
+      const [targetEl] = queryRuleTargets(doc, target, false);
+      if (!targetEl) return;
 
-/********************************************************************
- * Wait until iframe exists
- ********************************************************************/
-function waitForIframe(selector, onFound) {
-  dvLog("[delphi-styling] Waiting for iframe:", selector);
-
-  const MAX_TIME = 15000;  // 15s timeout
-  const INTERVAL = 200;
+      for (const el of queryRuleTargets(doc, selector, all)) {
+        // Never try to move an element into itself
+        if (el === targetEl || el.contains(targetEl)) continue;
+        if (isAlreadyPlaced(el, targetEl)) continue;
 
-  const start = Date.now();
+        targetEl.insertAdjacentElement(position, el);
+        dvLog(`[delphi] ${name}: element moved (${position} ${target})`);
+      }
+    },
+  };
+}
 
-  const timer = setInterval(() => {
-    const iframe = document.querySelector(selector);
+/**
+ * Replace the image source of matching <img> elements.
+ * srcset is dropped as well, otherwise the browser keeps picking from it.
+ */
+function ruleSwapImageSrc({ name, selector, src, modes, all }) {
+  return {
+    name,
+    modes: normalizeRuleModes(modes),
+    apply(doc) {
+      const desired = String(resolveRuleValue(src));
 
-    if (iframe) {
-      dvLog("[delphi-styling] Iframe found:", iframe);
+      for (const el of queryRuleTargets(doc, selector, all)) {
+        if (el.hasAttribute("srcset")) el.removeAttribute("srcset");
 
-      // Give the iframe an initial MIN_IFRAME_VIEWPORT_RATIO% viewport height
-      // so there is no visible jump when resizeIframe() runs
-      // - applied the moment the iframe appears, before it loads
-      // prevents the "jump" when there are no messages
-      //(when no messages it used to jump from high up to bottom
-      // with our MIN_IFRAME_VIEWPORT_RATIO% of height rule
-      const initialMinHeight = Math.floor(window.innerHeight * MIN_IFRAME_VIEWPORT_RATIO);
-      iframe.style.minHeight = initialMinHeight + "px";
-      iframe.style.height = initialMinHeight + "px";
-      iframe.style.width = "100%";
-      
-      clearInterval(timer);
-      onFound(iframe);
-      return;
-    }
+        if (el.getAttribute("src") !== desired) {
+          el.setAttribute("src", desired);
+          dvLog(`[delphi] ${name}: image src swapped`);
+        }
+      }
+    },
+  };
+}
 
-    if (Date.now() - start > MAX_TIME) {
-      dvError("[delphi-styling] Timeout: iframe not found");
-      clearInterval(timer);
-    }
-  }, INTERVAL);
+function ruleRemoveElement({ name, selector, modes, all }) {
+  return {
+    name,
+    modes: normalizeRuleModes(modes),
+    apply(doc) {
+      for (const el of queryRuleTargets(doc, selector, all)) {
+        el.remove();
+        dvLog(`[delphi] ${name}: element removed`);
+      }
+    },
+  };
 }
 
-/******************************************************************
- * Auto-resize strategy overview
- * ---------------------------------------------------------------
- * This system supports:
- * - Initial page load
- * - Direct deep links into chat
- * - Conversations with existing messages
- *
- * It achieves this through:
- * - Immediate sizing on init
- * - Periodic reconciliation (SPA-safe)
- * - Explicit correction when entering chat mode
- ******************************************************************/
-function enableIframeAutoResize(iframe) {
-  /******************************************************************
-   * Install-once guard
-   * ---------------------------------------------------------------
-   * This function may be called multiple times:
-   * - iframe load
-   * - route/view changes inside Delphi
-   * - defensive re-initializations
-   *
-   * We must ensure auto-resize logic is installed only once
-   * per iframe instance to avoid duplicated intervals and listeners.
-   ******************************************************************/
-  if (iframe.__dvAutoResizeInstalled) return;
-  iframe.__dvAutoResizeInstalled = true;
+/**
+ * Insert an HTML snippet relative to matching elements.
+ * Inserted nodes are tagged with data-dv-rule="<name>" so re-runs
+ * don't insert the snippet twice, and Delphi re-renders that wipe
+ * it out get it back.
+ */
+function ruleInsertHtml({ name, selector, html, position = "beforeend", modes, all }) {
+  function hasInsertedNode(el) {
+    const scope = position === "afterbegin" || position === "beforeend" ? el : el.parentElement;
+    if (!scope) return true;
 
-  /******************************************************************
-   * Access iframe document
-   * ---------------------------------------------------------------
-   * Required for:
-   * - reading content height
-   * - detecting Delphi mode (chat / overview / call)
-   ******************************************************************/
-  const doc = iframe.contentDocument || iframe.contentWindow?.document;
-  if (!doc) {
-    dvWarn("[delphi-resize] iframe document not available");
-    return;
+    return Array.from(scope.children).some((child) => child.getAttribute("data-dv-rule") === name);
   }
 
-  /******************************************************************
-   * Track current Delphi mode across executions
-   * ---------------------------------------------------------------
-   * Modes:
-   * - "chat"     → scrolling + input pinned behavior required
-   * - "overview" → static profile layout
-   * - "voice"    → different layout again
-   *
-   * We only react when the mode actually changes.
-   ******************************************************************/
-  let lastMode = getDelphiMode(doc);
-  dvLog("[delphi-resize] initial mode:", lastMode);
-
-  /******************************************************************
-   * Scroll state flags
-   * ---------------------------------------------------------------
-   * userHasScrolled:
-   *   Becomes true once the user manually scrolls the outer page
-   *   while in chat mode. Prevents auto-scroll from fighting the user.
-   *
-   * firstAutoScrollDone:
-   *   Ensures auto-scroll runs only once per chat entry, even if
-   *   resize logic executes multiple times.
-   ******************************************************************/
-  let userHasScrolled = false;
-  let firstAutoScrollDone = false;
+  return {
+    name,
+    modes: normalizeRuleModes(modes),
+    apply(doc) {
+      for (const el of queryRuleTargets(doc, selector, all)) {
+        if (hasInsertedNode(el)) continue;
 
-  /******************************************************************
-   * Scroll outer page so iframe bottom aligns with viewport bottom
-   * ---------------------------------------------------------------
-   * This is what brings the composer into view in chat mode.
-   ******************************************************************/
-  function scrollOuterPageToIframeBottom() {
-    const rect = iframe.getBoundingClientRect();
-    const iframeBottomInPage = window.scrollY + rect.bottom;
-    const targetScrollTop = iframeBottomInPage - window.innerHeight;
+        const template = doc.createElement("template");
+        template.innerHTML = String(resolveRuleValue(html));
 
-    if (targetScrollTop > 0) {
-      dvLog("[delphi-resize] Auto-scrolling outer page to", targetScrollTop);
-      window.scrollTo({ top: targetScrollTop, behavior: "auto" });
-    }
-  }
+        const nodes = Array.from(template.content.children);
+        if (!nodes.length) continue;
 
-  /******************************************************************
-   * Choose a better "height root" per mode
-   * ---------------------------------------------------------------
-   * In SPA UIs, documentElement.scrollHeight can stay stable even
-   * when the visible view changes, because hidden views may remain
-   * mounted in the DOM.
-   *
-   * So we try to measure the active view container first.
-   ******************************************************************/
-  function getActiveHeightRoot(mode) {
-    if (mode === "chat_mode") {
-      // Prefer the chat view container if present
-      return (
-        doc.querySelector(".delphi-chat-conversation") ||
-        doc.querySelector("[data-sentry-component='Talk']") ||
-        doc.body
-      );
-    }
+        for (const node of nodes) node.setAttribute("data-dv-rule", name);
 
-    if (mode === "overview_mode") {
-      return doc.querySelector(".delphi-profile-container") || doc.body;
-    }
+        // Keep snippet order: insert in reverse for positions that prepend
+        const ordered = position === "afterbegin" || position === "afterend" ? nodes.reverse() : nodes;
+        for (const node of ordered) el.insertAdjacentElement(position, node);
 
-    if (mode === "call_mode") {
-      return doc.querySelector(".delphi-call-container") || doc.body;
-    }
+        dvLog(`[delphi] ${name}: html inserted (${position})`);
+      }
+    },
+  };
+}
 
-    return doc.body || doc.documentElement;
+/**
+ * Add one or more classes ("a b c") to matching elements.
+ */
+function ruleAddClass({ name, selector, className, modes, all }) {
+  return {
+    name,
+    modes: normalizeRuleModes(modes),
+    apply(doc) {
+      const classes = String(resolveRuleValue(className)).split(/\s+/).filter(Boolean);
+
+      for (const el of queryRuleTargets(doc, selector, all)) {
+        const missing = classes.filter((c) => !el.classList.contains(c));
+        if (!missing.length) continue;
+
+        el.classList.add(...missing);
+        dvLog(`[delphi] ${name}: class added (${missing.join(" ")})`);
+      }
+    },
+  };
+}
+
+/**
+ * Set an input/textarea value the way typing would: the native value
+ * setter + an input event, so framework-managed (React) inputs pick
+ * the value up. Shared with the composer bridge.
+ */
+function setDelphiInputValue(el, value) {
+  const view = el.ownerDocument.defaultView;
+  const proto = el.tagName === "TEXTAREA" ? view.HTMLTextAreaElement.prototype : view.HTMLInputElement.prototype;
+  Object.getOwnPropertyDescriptor(proto, "value").set.call(el, value);
+  el.dispatchEvent(new view.Event("input", { bubbles: true }));
+}
+
+/**
+ * Type text into an empty input/textarea once per document.
+ */
+function rulePrefillInput({ name, selector, text, modes }) {
+  let filled = false;
+
+  return {
+    name,
+    modes: normalizeRuleModes(modes),
+    apply(doc) {
+      if (filled) return;
+
+      const [el] = queryRuleTargets(doc, selector, false);
+      if (!el || el.value) return;
+
+      setDelphiInputValue(el, String(resolveRuleValue(text)));
+
+      filled = true;
+      dvLog(`[delphi] ${name}: input prefilled`);
+    },
+  };
+}
+
+/********************************************************************
+ * Declarative rule sets (JSON, declared per page)
+ * ------------------------------------------------------------------
+ * Pages can declare rules without touching this file:
+ *
+ *   <script type="application/json" data-dv-delphi-rules>
+ *     [
+ *       { "type": "forceText", "name": "overview-title",
+ *         "selector": ".delphi-profile-container header h1", "text": "Hi!" },
+ *       { "type": "addClass", "name": "chat-compact", "modes": "chat_mode",
+ *         "selector": "@chatConversation", "className": "compact" }
+ *     ]
+ *   </script>
+ *
+ * "type" picks the builder below; every other key is passed through
+ * as the builder's options. A page rule with the same name as a
+ * default rule replaces it.
+ *
+ * forceText can take its text from the host's locale (i18n.js):
+ *   { "type": "forceText", "name": "overview-title", "selector": "@overviewTitle",
+ *     "textKey": "delphi.introTitle", "textParams": { "name": "Michael" },
+ *     "text": "Hi, I'm Michael" }
+ * ("text": without i18n.js, or for a key it doesn't know)
+ ********************************************************************/
+const DELPHI_RULE_BUILDERS = {
+  forceText: ruleForceText,
+  hideButKeepLayout: ruleHideButKeepLayout,
+  setAttribute: ruleSetAttribute,
+  moveElement: ruleMoveElement,
+  swapImageSrc: ruleSwapImageSrc,
+  removeElement: ruleRemoveElement,
+  insertHtml: ruleInsertHtml,
+  addClass: ruleAddClass,
+  prefillInput: rulePrefillInput,
+};
+
+function buildDelphiRuleFromSpec(spec) {
+  if (!spec || typeof spec !== "object") {
+    dvWarn("[delphi] Ignoring rule spec (not an object):", spec);
+    return null;
+  }
+
+  const builder = DELPHI_RULE_BUILDERS[spec.type];
+  if (!builder) {
+    dvWarn(`[delphi] Ignoring rule spec "${spec.name}": unknown type "${spec.type}"`);
+    return null;
+  }
+
+  if (!spec.name || !spec.selector) {
+    dvWarn("[delphi] Ignoring rule spec without name/selector:", spec);
+    return null;
+  }
+
+  if (isDelphiSelectorRef(spec.selector) && !DELPHI_SELECTORS[spec.selector.slice(1)]) {
+    dvWarn(`[delphi] Ignoring rule spec "${spec.name}": unknown selector reference "${spec.selector}"`);
+    return null;
+  }
+
+  const { type, ...options } = spec;
+
+  // Kept on the rule so the health check can tell whether it matches
+  return { ...builder(options), type, selector: spec.selector };
+}
+
+function readPageDelphiRuleSpecs() {
+  const specs = [];
+
+  for (const script of document.querySelectorAll('script[type="application/json"][data-dv-delphi-rules]')) {
+    try {
+      const parsed = JSON.parse(script.textContent || "[]");
+      const list = Array.isArray(parsed) ? parsed : parsed?.rules;
+
+      if (!Array.isArray(list)) {
+        dvWarn("[delphi] Rule set must be an array or { rules: [] }", script);
+        continue;
+      }
+
+      specs.push(...list);
+    } catch (e) {
+      dvError("[delphi] Invalid JSON rule set", e);
+    }
+  }
+
+  return specs;
+}
+
+/********************************************************************
+ * Register all DOM enforcement rules
+ ********************************************************************/
+// Defaults are kept as specs (not built rules) so they can also be
+// shipped over the postMessage bridge to a cross-origin frame agent.
+function getDefaultDelphiDomRuleSpecs() {
+  return [
+    // Profile/Overview H1: config.introTitle when set, else "Hi, I'm
+    // Michael" in the visitor's language
+    {
+      type: "forceText",
+      name: "overview-title",
+      selector: "@overviewTitle",
+      ...(INTRO_TITLE ? { text: INTRO_TITLE } : { textKey: "delphi.introTitle", textParams: { name: DV_CONFIG.assistantName } }),
+    },
+
+    // Chat header title: hide but keep layout (your existing requirement)
+    {
+      type: "hideButKeepLayout",
+      name: "chat-header-title-hidden",
+      selector: "@talkTitle",
+    },
+  ];
+}
+
+// ?q=... deep links: prefill the composer once chat is open
+function getDeepLinkDelphiRuleSpecs() {
+  if (!DELPHI_INITIAL_QUESTION) return [];
+
+  return [
+    {
+      type: "prefillInput",
+      name: "deep-link-question",
+      modes: "chat_mode",
+      selector: "@composer",
+      text: DELPHI_INITIAL_QUESTION,
+    },
+  ];
+}
+
+/**
+ * Defaults + page rule set (page rules winning on name clashes),
+ * then anything the incoming URL asks for.
+ */
+function getDelphiDomRuleSpecs() {
+  const pageSpecs = readPageDelphiRuleSpecs();
+  const pageNames = new Set(pageSpecs.map((spec) => spec?.name));
+
+  const defaults = getDefaultDelphiDomRuleSpecs().filter((spec) => !pageNames.has(spec.name));
+  return [...defaults, ...pageSpecs, ...getDeepLinkDelphiRuleSpecs()];
+}
+
+/**
+ * Accepts a JSON spec ({ type, ... }) or an already built rule
+ * ({ name, apply(doc) }), e.g. from DemandVox.delphi.addRule().
+ * Built rules take the same "modes" forms as specs.
+ */
+function toDelphiDomRule(ruleOrSpec) {
+  if (typeof ruleOrSpec?.apply === "function") return { ...ruleOrSpec, modes: normalizeRuleModes(ruleOrSpec.modes) };
+  return buildDelphiRuleFromSpec(ruleOrSpec);
+}
+
+function registerDelphiDomRules(iframe, extraRules = []) {
+  const runtime = ensureDelphiWatcherRuntime(iframe);
+  if (!runtime) return;
+
+  //Add “install once” guard to DOM watcher runtime (per document)
+  if (runtime.domRulesInstalled) return;
+  runtime.domRulesInstalled = true;
+
+  const rules = [...getDelphiDomRuleSpecs(), ...extraRules].map(toDelphiDomRule).filter(Boolean);
+
+  for (const rule of rules) {
+    addDelphiDomRuleToRuntime(runtime, rule);
+  }
+
+  dvLog(`[delphi] DOM rules registered (${rules.length})`);
+}
+
+
+
+/********************************************************************
+ * Selector health
+ * ------------------------------------------------------------------
+ * Each watcher runtime re-checks, shortly after DOM changes settle,
+ * which DELPHI_SELECTORS entries and which selector-based rules match
+ * in the current mode. The latest check per mode is kept, and the
+ * overall status is:
+ *
+ *   ok        every expected selector matched on its primary
+ *   degraded  a fallback is in use, or a cosmetic selector / a rule
+ *             stopped matching
+ *   broken    no known view (unknown_mode), or a required selector
+ *             is missing
+ *
+ * Status changes are dispatched as DELPHI_EVENTS.HEALTH_CHANGE, and
+ * DemandVox.delphi.getHealthReport() returns the JSON report (the
+ * frame agent ships the same report over the bridge when cross-origin).
+ ********************************************************************/
+const DELPHI_HEALTH_REPORT_VERSION = 1;
+const DELPHI_HEALTH_CHECK_DELAY_MS = 1000;
+
+// Delphi renders no view container while it boots: don't call that broken
+const DELPHI_HEALTH_UNKNOWN_MODE_GRACE_MS = 8000;
+
+const DELPHI_HEALTH_SEVERITY = { unknown: -1, ok: 0, degraded: 1, broken: 2 };
+
+/**
+ * Views a rule is expected to match in: its own modes, else the modes
+ * of the registry entry it references, else null (any one view will do).
+ */
+function getDelphiRuleExpectedModes(rule) {
+  if (rule.modes) return rule.modes;
+  if (isDelphiSelectorRef(rule.selector)) return DELPHI_SELECTORS[rule.selector.slice(1)]?.modes || null;
+  return null;
+}
+
+function checkDelphiSelectors(doc, mode) {
+  const selectors = {};
+
+  for (const [key, entry] of Object.entries(DELPHI_SELECTORS)) {
+    if (entry.modes && !entry.modes.includes(mode)) continue;
+
+    const match = resolveDelphiSelector(doc, key);
+    if (!match && entry.optional) continue;
+
+    selectors[key] = {
+      status: !match ? "missing" : match.index === 0 ? "ok" : "fallback",
+      matched: match?.selector || null,
+      required: Boolean(entry.required),
+    };
+  }
+
+  return selectors;
+}
+
+function checkDelphiRules(doc, rules, mode) {
+  const result = {};
+
+  for (const rule of rules) {
+    // Internal rules (resize, bridge) and function rules have nothing to match;
+    // removed elements are *supposed* to stop matching
+    if (!rule.selector || rule.type === "removeElement") continue;
+
+    const expectedModes = getDelphiRuleExpectedModes(rule);
+    if (expectedModes && !expectedModes.includes(mode)) continue;
+
+    result[rule.name] = {
+      matched: queryRuleTargets(doc, rule.selector, false).length > 0,
+      scoped: Boolean(expectedModes),
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Turn the per-mode checks into { status, problems }.
+ */
+function summarizeDelphiHealth(modes) {
+  const problems = [];
+  let status = "ok";
+
+  const flag = (severity, message) => {
+    problems.push(message);
+    if (DELPHI_HEALTH_SEVERITY[severity] > DELPHI_HEALTH_SEVERITY[status]) status = severity;
+  };
+
+  // Unscoped rules only need to match in one of the views seen so far
+  const unscopedRules = new Map();
+
+  for (const [mode, check] of Object.entries(modes)) {
+    if (mode === "unknown_mode") {
+      flag("broken", "unknown_mode: no view container matched (check DELPHI_SELECTORS)");
+      continue;
+    }
+
+    for (const [key, result] of Object.entries(check.selectors)) {
+      if (result.status === "fallback") flag("degraded", `${mode}: @${key} matched fallback "${result.matched}"`);
+      if (result.status === "missing") flag(result.required ? "broken" : "degraded", `${mode}: @${key} not found`);
+    }
+
+    for (const [name, result] of Object.entries(check.rules)) {
+      if (!result.scoped) {
+        unscopedRules.set(name, unscopedRules.get(name) || result.matched);
+        continue;
+      }
+      if (!result.matched) flag("degraded", `${mode}: rule "${name}" matched nothing`);
+    }
+  }
+
+  for (const [name, matched] of unscopedRules) {
+    if (!matched) flag("degraded", `rule "${name}" matched nothing in any view`);
+  }
+
+  return { status, problems };
+}
+
+function buildDelphiHealthReport(health, embed) {
+  return {
+    version: DELPHI_HEALTH_REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    env: DV_ENV.name,
+    embed, // "same-origin" | "cross-origin" | "none"
+    status: health?.status || "unknown",
+    problems: health ? [...health.problems] : [],
+    modes: health ? JSON.parse(JSON.stringify(health.modes)) : {},
+  };
+}
+
+function createDelphiHealthTracker(runtime) {
+  const startedAt = Date.now();
+  let timer = null;
+
+  const health = {
+    status: "unknown",
+    problems: [],
+    modes: {},
+    schedule,
+    check,
+  };
+
+  function schedule(delay = DELPHI_HEALTH_CHECK_DELAY_MS) {
+    if (timer) return;
+    timer = setTimeout(check, delay);
+  }
+
+  // force: skip the boot grace period (on-demand reports)
+  function check(force = false) {
+    clearTimeout(timer);
+    timer = null;
+    if (!runtime.installed) return;
+
+    const { doc } = runtime;
+    const mode = getDelphiMode(doc);
+
+    if (mode === "unknown_mode") {
+      const remaining = DELPHI_HEALTH_UNKNOWN_MODE_GRACE_MS - (Date.now() - startedAt);
+      if (remaining > 0 && !force) {
+        schedule(remaining);
+        return;
+      }
+    } else {
+      // A known view makes an earlier unknown state moot
+      delete health.modes.unknown_mode;
+    }
+
+    health.modes[mode] = {
+      checkedAt: new Date().toISOString(),
+      selectors: checkDelphiSelectors(doc, mode),
+      rules: checkDelphiRules(doc, runtime.rules, mode),
+    };
+
+    const { status, problems } = summarizeDelphiHealth(health.modes);
+    health.problems = problems;
+
+    if (status === health.status) return;
+
+    const previous = health.status;
+    health.status = status;
+
+    if (status === "ok") dvLog(`[delphi-health] ${previous} → ok`);
+    else dvWarn(`[delphi-health] ${previous} → ${status}`, problems);
+
+    emitDelphiEvent(DELPHI_EVENTS.HEALTH_CHANGE, {
+      previous,
+      status,
+      problems,
+      report: buildDelphiHealthReport(health, "same-origin"),
+    });
+  }
+
+  runtime.onDestroy(() => clearTimeout(timer));
+  return health;
+}
+
+/********************************************************************
+ * Health warning (preview builds)
+ * ------------------------------------------------------------------
+ * When config.healthWarning is on (preview + local profiles), a
+ * degraded/broken status shows a small fixed panel on the host page
+ * with the problems and a "Copy report" button.
+ ********************************************************************/
+function installDelphiHealthWarning() {
+  let panel = null;
+  let dismissedStatus = null;
+
+  function remove() {
+    panel?.remove();
+    panel = null;
+  }
+
+  function render({ status, problems, report }) {
+    panel = panel || document.createElement("div");
+    panel.className = "dv-health-warning";
+    panel.setAttribute("role", "status");
+    panel.dataset.status = status;
+    panel.replaceChildren();
+
+    const title = document.createElement("strong");
+    title.textContent = `Delphi integration ${status}`;
+
+    const list = document.createElement("ul");
+    for (const problem of problems.slice(0, 5)) {
+      const item = document.createElement("li");
+      item.textContent = problem;
+      list.appendChild(item);
+    }
+    if (problems.length > 5) {
+      const more = document.createElement("li");
+      more.textContent = `…and ${problems.length - 5} more`;
+      list.appendChild(more);
+    }
+
+    const copy = document.createElement("button");
+    copy.type = "button";
+    copy.textContent = "Copy report";
+    copy.addEventListener("click", () => {
+      const json = JSON.stringify(report, null, 2);
+      // No clipboard (insecure context, permission denied): the log has it
+      const logReport = () => dvLog("[delphi-health] clipboard unavailable, report:\n" + json);
+
+      if (navigator.clipboard) navigator.clipboard.writeText(json).catch(logReport);
+      else logReport();
+    });
+
+    const dismiss = document.createElement("button");
+    dismiss.type = "button";
+    dismiss.setAttribute("aria-label", "Dismiss");
+    dismiss.textContent = "×";
+    dismiss.addEventListener("click", () => {
+      dismissedStatus = status;
+      remove();
+    });
+
+    panel.append(title, list, copy, dismiss);
+    if (!panel.isConnected) document.body.appendChild(panel);
+  }
+
+  const off = onDelphiEvent(DELPHI_EVENTS.HEALTH_CHANGE, (e) => {
+    const { status } = e.detail;
+
+    if (DELPHI_HEALTH_SEVERITY[status] < DELPHI_HEALTH_SEVERITY.degraded) {
+      dismissedStatus = null;
+      remove();
+      return;
+    }
+    if (status === dismissedStatus) return;
+
+    render(e.detail);
+  });
+
+  return () => {
+    off();
+    remove();
+  };
+}
+
+/********************************************************************
+ * Wait until iframe exists
+ ********************************************************************/
+/**
+ * Returns a cancel function (used by DemandVox.delphi.destroy()).
+ */
+function waitForIframe(selector, onFound) {
+  dvLog("[delphi-styling] Waiting for iframe:", selector);
+
+  const MAX_TIME = DV_CONFIG.iframeWaitTimeoutMs;
+  const INTERVAL = DV_CONFIG.iframeWaitIntervalMs;
+
+  const start = Date.now();
+
+  const timer = setInterval(() => {
+    const iframe = document.querySelector(selector);
+
+    if (iframe) {
+      dvLog("[delphi-styling] Iframe found:", iframe);
+
+      // Give the iframe an initial MIN_IFRAME_VIEWPORT_RATIO% viewport height
+      // so there is no visible jump when resizeIframe() runs
+      // - applied the moment the iframe appears, before it loads
+      // prevents the "jump" when there are no messages
+      //(when no messages it used to jump from high up to bottom
+      // with our MIN_IFRAME_VIEWPORT_RATIO% of height rule
+      const initialMinHeight = getMinIframeHeight(iframe);
+      iframe.style.minHeight = initialMinHeight + "px";
+      iframe.style.height = initialMinHeight + "px";
+      iframe.style.width = "100%";
+      
+      clearInterval(timer);
+      emitDelphiEvent(DELPHI_EVENTS.IFRAME_FOUND, { iframe, selector });
+      onFound(iframe);
+      return;
+    }
+
+    if (Date.now() - start > MAX_TIME) {
+      dvError("[delphi-styling] Timeout: iframe not found");
+      clearInterval(timer);
+      emitDelphiEvent(DELPHI_EVENTS.TIMEOUT, { selector, waitedMs: Date.now() - start });
+    }
+  }, INTERVAL);
+
+  return () => clearInterval(timer);
+}
+
+/********************************************************************
+ * Height + scroll helpers
+ * ------------------------------------------------------------------
+ * Shared by the same-origin resize loop and the postMessage bridge
+ * (where they run on either side of the frame boundary).
+ ********************************************************************/
+
+/**
+ * Choose a better "height root" per mode
+ * In SPA UIs, documentElement.scrollHeight can stay stable even
+ * when the visible view changes, because hidden views may remain
+ * mounted in the DOM.
+ *
+ * So we try to measure the active view container first.
+ */
+function getActiveHeightRoot(doc, mode) {
+  if (mode === "chat_mode") {
+    // Prefer the chat view container if present
+    return queryDelphiSelector(doc, "chatConversation") || queryDelphiSelector(doc, "talkView") || doc.body;
+  }
+
+  if (mode === "overview_mode") {
+    return queryDelphiSelector(doc, "profileContainer") || doc.body;
+  }
+
+  if (mode === "call_mode") {
+    return queryDelphiSelector(doc, "callContainer") || doc.body;
+  }
+
+  return doc.body || doc.documentElement;
+}
+
+function measureDelphiContentHeight(doc, mode = getDelphiMode(doc)) {
+  // Measure from the active view container when possible
+  const root = getActiveHeightRoot(doc, mode);
+
+  // scrollHeight is still the most practical metric, but on a smaller subtree
+  return root ? root.scrollHeight : doc.documentElement.scrollHeight;
+}
+
+/**
+ * Element the embed scrolls in instead of the page, when the host
+ * puts it in one (the app shell's docked chat panel, app-shell.js).
+ */
+const DELPHI_SCROLL_CONTAINER_ATTR = "data-dv-scroll-container";
+
+function getDelphiScrollContainer(iframe) {
+  return iframe?.closest(`[${DELPHI_SCROLL_CONTAINER_ATTR}]`) || null;
+}
+
+/**
+ * Mobile viewport
+ * ------------------------------------------------------------------
+ * window.innerHeight follows the URL bar (it grows when the bar
+ * collapses on scroll) and ignores the on-screen keyboard, so:
+ * - sizing uses the layout viewport (documentElement.clientHeight),
+ *   stable while the URL bar moves and while the keyboard is open
+ * - what the visitor can actually see comes from visualViewport,
+ *   which shrinks with the keyboard
+ * - safe-area-inset-bottom (home indicator, pages with
+ *   viewport-fit=cover) is kept clear, except behind the keyboard
+ */
+const DELPHI_KEYBOARD_MIN_HEIGHT_PX = 150;
+
+function getDelphiLayoutViewportHeight() {
+  return document.documentElement.clientHeight || window.innerHeight;
+}
+
+// env() is only readable through a computed style
+let delphiSafeAreaProbe = null;
+
+function getDelphiSafeAreaBottom() {
+  if (!document.body) return 0;
+
+  if (!delphiSafeAreaProbe?.isConnected) {
+    delphiSafeAreaProbe = document.createElement("div");
+    delphiSafeAreaProbe.setAttribute("aria-hidden", "true");
+    delphiSafeAreaProbe.style.cssText = "position:fixed;visibility:hidden;pointer-events:none;padding-bottom:env(safe-area-inset-bottom, 0px)";
+    document.body.appendChild(delphiSafeAreaProbe);
+  }
+
+  return parseFloat(getComputedStyle(delphiSafeAreaProbe).paddingBottom) || 0;
+}
+
+// 0 when closed; pinch-zoom shrinks the visual viewport too, not a keyboard
+function getDelphiKeyboardHeight() {
+  const vv = window.visualViewport;
+  if (!vv || vv.scale > 1.01) return 0;
+
+  const covered = getDelphiLayoutViewportHeight() - vv.height;
+  return covered >= DELPHI_KEYBOARD_MIN_HEIGHT_PX ? Math.round(covered) : 0;
+}
+
+// Bottom of what the visitor sees, in getBoundingClientRect() coordinates
+function getDelphiVisibleBottom() {
+  const vv = window.visualViewport;
+  const bottom = vv ? vv.offsetTop + vv.height : window.innerHeight;
+
+  return bottom - (getDelphiKeyboardHeight() ? 0 : getDelphiSafeAreaBottom());
+}
+
+function getMinIframeHeight(iframe) {
+  // Docked: fill the panel, whatever the viewport
+  const container = getDelphiScrollContainer(iframe);
+  if (container) return container.clientHeight;
+
+  return Math.floor(getDelphiLayoutViewportHeight() * MIN_IFRAME_VIEWPORT_RATIO);
+}
+
+/**
+ * Scroll outer page so iframe bottom aligns with the visible bottom
+ * (above the keyboard when it's open). This is what brings the
+ * composer into view in chat mode.
+ * behavior "smooth" is for visitor-initiated jumps only.
+ */
+function scrollOuterPageToIframeBottom(iframe, behavior = "auto") {
+  const container = getDelphiScrollContainer(iframe);
+  if (container) {
+    const top = container.scrollTop + getDelphiComposerOffset(iframe);
+    container.scrollTo({ top: Math.max(0, top), behavior });
+    return;
+  }
+
+  const rect = iframe.getBoundingClientRect();
+  const iframeBottomInPage = window.scrollY + rect.bottom;
+  const targetScrollTop = iframeBottomInPage - getDelphiVisibleBottom();
+
+  if (targetScrollTop > 0) {
+    dvLog("[delphi-resize] Auto-scrolling outer page to", targetScrollTop);
+    window.scrollTo({ top: targetScrollTop, behavior });
+  }
+}
+
+// Composer's distance below the visible bottom (page or scroll container)
+function getDelphiComposerOffset(iframe) {
+  const container = getDelphiScrollContainer(iframe);
+  const visibleBottom = getDelphiVisibleBottom();
+
+  return iframe.getBoundingClientRect().bottom - (container ? Math.min(container.getBoundingClientRect().bottom, visibleBottom) : visibleBottom);
+}
+
+/********************************************************************
+ * Scroll intent: following the conversation
+ * ------------------------------------------------------------------
+ * The composer sits at the bottom of the iframe, and the iframe grows
+ * as answers stream in. While the visitor follows along, each growth
+ * scrolls the host page (or docked panel) so the composer stays
+ * pinned to the bottom.
+ *
+ * Intent is read from the host scroll, not from who caused it:
+ * - composer within DELPHI_FOLLOW_THRESHOLD_PX of the bottom: following
+ *   (a visitor scrolling back down resumes it, no button needed)
+ * - scrolled up anywhere else: reading, no more pinning
+ * Our own pins only ever move down to the bottom, so they never read
+ * as "scrolled up".
+ *
+ * While reading in chat, a floating host button offers "Jump to
+ * latest", or "N new messages" once new answers arrive (assistant
+ * messages counted same-origin, or reported by the frame agent).
+ * Jumps are smooth unless prefers-reduced-motion; pins never are.
+ *
+ * On-screen keyboard (mobile): the visible bottom is the top of the
+ * keyboard. Opening it from the chat pins the composer above it,
+ * body.dv-keyboard-open is set meanwhile (floating controls step
+ * aside) and KEYBOARD_CHANGE is emitted. Rotations and URL bar moves
+ * re-pin while following.
+ *
+ * Shared by the same-origin resize engine and the parent bridge:
+ *   update({ mode, messages })   after every height change
+ *   enterChat()                  on a switch to chat_mode
+ ********************************************************************/
+const DELPHI_FOLLOW_THRESHOLD_PX = 32;
+const DELPHI_REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+function getDelphiJumpLabel(unread) {
+  return unread > 0 ? translateDelphiText("delphi.newMessages", { count: unread }) : translateDelphiText("delphi.jumpToLatest");
+}
+
+function createDelphiScrollFollower(iframe) {
+  let mode = null;
+  let following = true;
+  let lastScrollTop = null;
+
+  // Assistant messages on screen when the visitor stopped following
+  let messages = null;
+  let messageBaseline = null;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "dv-jump-latest";
+  button.hidden = true;
+  if (iframe.id) button.setAttribute("aria-controls", iframe.id);
+  document.body.appendChild(button);
+
+  const getScrollTop = () => getDelphiScrollContainer(iframe)?.scrollTop ?? window.scrollY;
+  const isAtBottom = () => getDelphiComposerOffset(iframe) <= DELPHI_FOLLOW_THRESHOLD_PX;
+  const prefersReducedMotion = () => Boolean(window.matchMedia?.(DELPHI_REDUCED_MOTION_QUERY).matches);
+
+  function getUnread() {
+    return messages === null || messageBaseline === null ? 0 : Math.max(0, messages - messageBaseline);
+  }
+
+  function render() {
+    const show = mode === "chat_mode" && !following;
+
+    button.hidden = !show;
+    if (show) button.textContent = getDelphiJumpLabel(getUnread());
+  }
+
+  function setFollowing(value) {
+    if (value === following) return;
+    following = value;
+    messageBaseline = following ? null : messages;
+    dvLog(`[delphi-scroll] ${following ? "following the conversation" : "reading (scrolled up)"}`);
+    render();
+  }
+
+  function pin() {
+    scrollOuterPageToIframeBottom(iframe);
+    lastScrollTop = getScrollTop();
+  }
+
+  // Page, or the docked panel (scroll doesn't bubble: capture on document)
+  function onScroll(e) {
+    const scroller = getDelphiScrollContainer(iframe) || document;
+    if (e.target !== scroller) return;
+
+    const top = getScrollTop();
+    if (isAtBottom()) setFollowing(true);
+    else if (lastScrollTop !== null && top < lastScrollTop) setFollowing(false);
+    lastScrollTop = top;
+  }
+  document.addEventListener("scroll", onScroll, { capture: true, passive: true });
+
+  button.addEventListener("click", () => {
+    scrollOuterPageToIframeBottom(iframe, prefersReducedMotion() ? "auto" : "smooth");
+    setFollowing(true);
+  });
+
+  const onLocaleChange = () => render();
+  document.addEventListener(DELPHI_LOCALE_CHANGE_EVENT, onLocaleChange);
+
+  // Keyboard, rotation, URL bar: the visible area changed
+  let keyboardHeight = getDelphiKeyboardHeight();
+  const viewportTarget = window.visualViewport || window;
+
+  function onViewportResize() {
+    const next = getDelphiKeyboardHeight();
+    const wasOpen = keyboardHeight > 0;
+
+    if (next > 0 !== wasOpen) {
+      document.body.classList.toggle("dv-keyboard-open", next > 0);
+      emitDelphiEvent(DELPHI_EVENTS.KEYBOARD_CHANGE, { iframe, open: next > 0, keyboardHeight: next });
+      dvLog(`[delphi-scroll] keyboard ${next > 0 ? `open (${next}px)` : "closed"}`);
+
+      // Typing in the chat: the composer goes above the keyboard
+      if (next > 0 && mode === "chat_mode" && document.activeElement === iframe) setFollowing(true);
+    }
+    keyboardHeight = next;
+
+    // Pinch-zoomed: the visitor is panning around, leave the page be
+    if (window.visualViewport?.scale > 1.01) return;
+    if (mode === "chat_mode" && following) pin();
+  }
+  viewportTarget.addEventListener("resize", onViewportResize);
+
+  return {
+    update({ mode: nextMode, messages: count = null }) {
+      mode = nextMode;
+      if (Number.isFinite(count)) {
+        messages = count;
+        // A new conversation has fewer messages
+        if (messageBaseline !== null && count < messageBaseline) messageBaseline = count;
+      }
+
+      if (mode === "chat_mode" && following) pin();
+      render();
+    },
+
+    // Opening the chat always brings the composer into view
+    enterChat() {
+      mode = "chat_mode";
+      setFollowing(true);
+      pin();
+      render();
+    },
+
+    getState: () => ({ following, unreadMessages: getUnread() }),
+
+    destroy() {
+      document.removeEventListener("scroll", onScroll, { capture: true });
+      document.removeEventListener(DELPHI_LOCALE_CHANGE_EVENT, onLocaleChange);
+      viewportTarget.removeEventListener("resize", onViewportResize);
+      document.body.classList.remove("dv-keyboard-open");
+      button.remove();
+    },
+  };
+}
+
+/******************************************************************
+ * Auto-resize strategy overview
+ * ---------------------------------------------------------------
+ * This system supports:
+ * - Initial page load
+ * - Direct deep links into chat
+ * - Conversations with existing messages
+ *
+ * It achieves this through:
+ * - Immediate sizing on init
+ * - Event-driven reconciliation: ResizeObserver on the active view
+ *   root + the shared watcher MutationObserver (SPA-safe)
+ * - Polling only as a degraded fallback (no ResizeObserver)
+ * - Explicit correction when entering chat mode
+ * - No work at all while the tab is hidden
+ ******************************************************************/
+function enableIframeAutoResize(iframe) {
+  /******************************************************************
+   * Install-once guard
+   * ---------------------------------------------------------------
+   * This function may be called multiple times:
+   * - iframe load
+   * - route/view changes inside Delphi
+   * - defensive re-initializations
+   *
+   * We must ensure auto-resize logic is installed only once
+   * per iframe *document* to avoid duplicated observers and listeners.
+   * A reloaded iframe has a new document, so it gets its own engine;
+   * the old one is torn down with the old document's runtime.
+   ******************************************************************/
+  const runtime = ensureDelphiWatcherRuntime(iframe);
+  if (!runtime) {
+    dvWarn("[delphi-resize] iframe document not available");
+    return null;
+  }
+
+  if (runtime.autoResize) return runtime.autoResize;
+
+  /******************************************************************
+   * Access iframe document
+   * ---------------------------------------------------------------
+   * Required for:
+   * - reading content height
+   * - detecting Delphi mode (chat / overview / call)
+   ******************************************************************/
+  const doc = runtime.doc;
+
+  // Host listeners go through here so the runtime can remove them
+  function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    runtime.onDestroy(() => target.removeEventListener(type, handler, options));
+  }
+
+  /******************************************************************
+   * Track current Delphi mode across executions
+   * ---------------------------------------------------------------
+   * Modes:
+   * - "chat"     → scrolling + input pinned behavior required
+   * - "overview" → static profile layout
+   * - "voice"    → different layout again
+   *
+   * We only react when the mode actually changes.
+   ******************************************************************/
+  let lastMode = getDelphiMode(doc);
+  dvLog("[delphi-resize] initial mode:", lastMode);
+  emitDelphiEvent(DELPHI_EVENTS.MODE_CHANGE, { iframe, previous: null, mode: lastMode });
+
+  /******************************************************************
+   * Scroll intent
+   * ---------------------------------------------------------------
+   * Keeps the composer pinned while the visitor follows the chat,
+   * offers "jump to latest" once they scroll up to read (see
+   * "Scroll intent: following the conversation").
+   ******************************************************************/
+  const follower = createDelphiScrollFollower(iframe);
+  runtime.onDestroy(() => follower.destroy());
+
+  // Last measurement, for the debug overlay / getDebugSnapshot()
+  let lastMeasure = { contentHeight: null, minHeight: null, appliedHeight: null };
+
+  const metrics = createDelphiResizeMetrics(
+    typeof ResizeObserver === "function" ? "resize-observer" : "polling"
+  );
+
+  /******************************************************************
+   * resizeIframe()
+   * ---------------------------------------------------------------
+   * Core resizing logic:
+   * - Never smaller than MIN_IFRAME_VIEWPORT_RATIO of viewport
+   * - Grow with content of the active view
+   * - Controlled auto-scroll in chat mode only
+   ******************************************************************/
+  function resizeIframe() {
+    const mode = getDelphiMode(doc);
+
+    const minHeight = getMinIframeHeight(iframe);
+    const contentHeight = measureDelphiContentHeight(doc, mode);
+
+    const finalHeight = Math.max(contentHeight, minHeight);
+    const changed = iframe.style.height !== finalHeight + "px";
+
+    // waitForIframe()'s floor follows the viewport too (rotation)
+    iframe.style.minHeight = minHeight + "px";
+    iframe.style.height = finalHeight + "px";
+    recordDelphiResize(metrics, finalHeight, changed);
+    lastMeasure = { contentHeight, minHeight, appliedHeight: finalHeight };
+
+    /**************************************************************
+     * Auto-scroll logic (chat mode)
+     * -----------------------------------------------------------
+     * Keeps the composer pinned while the visitor follows along
+     * (streamed answers grow the iframe); counts new answers for
+     * the "jump to latest" button otherwise.
+     *
+     * Note:
+     * The pin is applied even if the iframe height does not exceed
+     * the viewport.
+     **************************************************************/
+    follower.update({
+      mode,
+      messages: mode === "chat_mode" ? queryDelphiSelectorAll(doc, "assistantMessage").length : null,
+    });
+  }
+
+  /******************************************************************
+   * Mode transition handling
+   ******************************************************************/
+  function handleModeChange(mode) {
+    dvLog("[delphi-resize] mode change:", lastMode, "→", mode);
+    metrics.modeChanges++;
+    emitDelphiEvent(DELPHI_EVENTS.MODE_CHANGE, { iframe, previous: lastMode, mode });
+
+    /**********************************************************
+     * Entering chat mode
+     * -------------------------------------------------------
+     * We force a fresh scroll correction regardless of height.
+     * This fixes the case: start in overview, click Chat, and
+     * the composer is below the fold.
+     **********************************************************/
+    if (mode === "chat_mode") {
+      // Let layout settle before correcting
+      setTimeout(() => {
+        if (!runtime.installed) return;
+        resizeIframe();
+
+        // Always do the correction when entering chat
+        follower.enterChat();
+      }, 150);
+    }
+
+    lastMode = mode;
+  }
+
+  /******************************************************************
+   * Keep the ResizeObserver on the *active* height root
+   * ---------------------------------------------------------------
+   * The root changes with the mode, and Delphi may also re-render
+   * it within a mode, so this is re-checked on every reconcile.
+   ******************************************************************/
+  let observedRoot = null;
+
+  function observeActiveRoot(mode) {
+    if (!resizeObserver) return;
+
+    const root = getActiveHeightRoot(doc, mode);
+    if (!root || root === observedRoot) return;
+
+    if (observedRoot) resizeObserver.unobserve(observedRoot);
+    resizeObserver.observe(root);
+    observedRoot = root;
+  }
+
+  /******************************************************************
+   * reconcile()
+   * ---------------------------------------------------------------
+   * Single entry point for every trigger (observers, window resize,
+   * tab becoming visible, fallback polling).
+   ******************************************************************/
+  function reconcile() {
+    // Paused while hidden: nothing is painted, and we catch up on show
+    if (document.hidden) return;
+
+    const mode = getDelphiMode(doc);
+    if (mode !== lastMode) handleModeChange(mode);
+
+    observeActiveRoot(mode);
+    resizeIframe();
+  }
+
+  /******************************************************************
+   * Triggers
+   * ---------------------------------------------------------------
+   * Why observers?
+   * Delphi is a SPA with no stable public events for view
+   * transitions, message streaming or layout recalculations.
+   * Instead of polling for them we watch their effects:
+   * - ResizeObserver: the active view root changed size
+   * - watcher MutationObserver (as a rule): nodes/text changed,
+   *   e.g. a streamed chat message or a view switch
+   *
+   * Both already coalesce to at most one run per frame.
+   ******************************************************************/
+  const resizeObserver =
+    typeof ResizeObserver === "function"
+      ? new ResizeObserver(() => {
+          markDelphiResizeTrigger(metrics);
+          reconcile();
+        })
+      : null;
+
+  if (resizeObserver) runtime.onDestroy(() => resizeObserver.disconnect());
+
+  addDelphiDomRuleToRuntime(runtime, {
+    name: "auto-resize",
+    apply() {
+      markDelphiResizeTrigger(metrics);
+
+      // In polling mode the loop below does the work; we only note
+      // when content changed so time-to-settle stays comparable
+      if (resizeObserver) reconcile();
+    },
+  });
+
+  // The minimum height depends on the viewport
+  listen(window, "resize", reconcile, { passive: true });
+
+  listen(document, "visibilitychange", () => {
+    metrics.paused = document.hidden;
+    dvLog("[delphi-resize]", document.hidden ? "paused (tab hidden)" : "resumed");
+
+    if (!document.hidden) reconcile();
+  });
+
+  /******************************************************************
+   * Initial sizing
+   ******************************************************************/
+  observeActiveRoot(lastMode);
+  resizeIframe();
+
+  /******************************************************************
+   * Degraded fallback: periodic reconciliation loop
+   * ---------------------------------------------------------------
+   * Only when ResizeObserver is unavailable (old browsers).
+   **************************************************************/
+  if (!resizeObserver) {
+    dvWarn("[delphi-resize] ResizeObserver unavailable, falling back to polling");
+    const intervalId = setInterval(reconcile, RESIZE_INTERVAL_MS);
+    runtime.onDestroy(() => clearInterval(intervalId));
+  }
+
+  runtime.autoResize = {
+    reconcile,
+    metrics,
+    getState: () => ({ mode: lastMode, ...lastMeasure, ...follower.getState() }),
+  };
+  return runtime.autoResize;
+}
+
+/********************************************************************
+ * Resize metrics
+ * ------------------------------------------------------------------
+ * Lets us compare engines in the field:
+ *   DemandVox.delphi.getResizeMetrics()
+ *
+ * timeToSettle = time between a content change being observed and
+ * the iframe height reflecting it (with polling, up to one interval).
+ ********************************************************************/
+const RESIZE_SETTLE_SAMPLES = 20;
+
+function createDelphiResizeMetrics(engine) {
+  return {
+    engine, // "resize-observer" | "polling" | "bridge"
+    paused: false,
+    resizeCount: 0, // resize passes
+    heightChanges: 0, // passes that actually changed the iframe height
+    modeChanges: 0,
+    lastHeight: null,
+    lastResizeAt: null,
+    pendingSince: null,
+    lastTimeToSettleMs: null,
+    settleSamplesMs: [],
+  };
+}
+
+function markDelphiResizeTrigger(metrics) {
+  if (metrics.pendingSince === null) metrics.pendingSince = performance.now();
+}
+
+function recordDelphiResize(metrics, height, changed) {
+  const now = performance.now();
+
+  metrics.resizeCount++;
+  metrics.lastResizeAt = now;
+  metrics.lastHeight = height;
+
+  if (!changed) {
+    // Content changed without affecting our height: nothing to settle
+    metrics.pendingSince = null;
+    return;
+  }
+
+  metrics.heightChanges++;
+
+  if (metrics.pendingSince !== null) {
+    metrics.lastTimeToSettleMs = Math.round(now - metrics.pendingSince);
+    metrics.settleSamplesMs.push(metrics.lastTimeToSettleMs);
+    if (metrics.settleSamplesMs.length > RESIZE_SETTLE_SAMPLES) metrics.settleSamplesMs.shift();
+    metrics.pendingSince = null;
+  }
+}
+
+function snapshotDelphiResizeMetrics(metrics) {
+  if (!metrics) return null;
+
+  const samples = metrics.settleSamplesMs;
+  const { pendingSince, ...snapshot } = metrics;
+
+  return {
+    ...snapshot,
+    settleSamplesMs: [...samples],
+    averageTimeToSettleMs: samples.length
+      ? Math.round(samples.reduce((sum, ms) => sum + ms, 0) / samples.length)
+      : null,
+  };
+}
+
+
+
+/********************************************************************
+ * Pre-inject CSS IMMEDIATELY to kill iframe scrollbar
+ * This prevents the iframe scrollbar flash AND the scrollbar tip.
+ ********************************************************************/
+function preKillIframeScrollbar(iframe) {
+  try {
+    // Kill frame-level scrollbar
+    iframe.setAttribute("scrolling", "no");
+    iframe.style.overflow = "hidden";
+
+    const doc = iframe.contentDocument || iframe.contentWindow.document;
+    if (!doc) return;
+
+    const style = doc.createElement("style");
+    style.textContent = `
+      /* HARD override to remove scrollbars inside the iframe instantly */
+      html, body {
+        scrollbar-width: none !important;      /* Firefox */
+        -ms-overflow-style: none !important;   /* IE */
+      }
+      html::-webkit-scrollbar,
+      body::-webkit-scrollbar {
+        display: none !important;              /* Chrome / Safari */
+      }
+    `;
+    doc.head.appendChild(style);
+  } catch (e) {
+    dvWarn("[delphi-styling] Cannot pre-inject scrollbar-kill CSS", e);
+  }
+}
+
+function restoreIframeScrolling(iframe) {
+  iframe.removeAttribute("scrolling");
+  iframe.style.overflow = "";
+}
+
+/********************************************************************
+ * Override Delphi copy
+ ********************************************************************/
+// function hideTitleInTextChat(iframe) {
+//   try {
+//     const doc = iframe.contentDocument || iframe.contentWindow?.document;
+//     if (!doc) return;
+
+//     const apply = () => {
+//       const h1 = doc.querySelector("h1.delphi-talk-title-text");
+//       if (!h1) return;
+
+//       // Keep layout space so other header items don't shift
+//       if (h1.style.visibility !== "hidden") {
+//         h1.style.visibility = "hidden";
+//         dvLog("[delphi] Title hidden (layout preserved)");
+//       }
+//     };
+
+//     // Apply immediately
+//     apply();
+
+//     // Re-apply if Delphi re-renders the header
+//     const obs = new MutationObserver(apply);
+//     obs.observe(doc.body || doc.documentElement, { childList: true, subtree: true });
+//   } catch (e) {
+//     dvWarn("[delphi] Failed to hide iframe title", e);
+//   }
+// }
+
+/********************************************************************
+ * Override CSS (shared by direct injection and the bridge)
+ * ------------------------------------------------------------------
+ * Layout and visibility only: colors, fonts, radii and spacing come
+ * from the theme sheet (delphi-theme.js), applied after this one.
+ ********************************************************************/
+const INJECT_CSS_STYLE_ID = "dv-delphi-overrides";
+
+function getDelphiOverrideCss() {
+  return `
+    /* IMPORTANT: do NOT hide overflow here anymore or scrolling breaks */
+    html, body {
+      overflow: visible !important;
+      height: auto !important;
+
+      /* Keep scrollbars visually hidden but content still allowed to overflow */
+      scrollbar-width: none !important;      /* Firefox */
+      -ms-overflow-style: none !important;   /* IE */
+    }
+    html::-webkit-scrollbar,
+    body::-webkit-scrollbar {
+      display: none !important;              /* Chrome / Safari */
+    }
+
+    /* Remove the left Delphi logo button (desktop) AND the mobile one */
+    button.delphi-header-logo {
+      display: none !important;
+    }
+    
+    /* Make the chat top nav a simple "left content / right actions" bar */
+    nav.from-sand-1.bg-sand-1.grid {
+      display: flex !important;
+      align-items: center !important;
+      justify-content: space-between !important;
+    }
+    
+    /* Ensure the title block (avatar + hidden h1) sits on the left */
+    nav.from-sand-1.bg-sand-1 .delphi-talk-title-link {
+      justify-content: flex-start !important;
+      width: auto !important;
+    }
+    
+    /* Optional: avoid the middle container trying to center things */
+    nav.from-sand-1.bg-sand-1 [data-sentry-component="TalkTitle"] {
+      margin: 0 !important;
+    }
+    
+    /* Keep existing title invisibility (you already did it inline) */
+    h1.delphi-talk-title-text {
+      visibility: hidden !important;
+    }
+  `;
+}
+
+function upsertStyleElement(doc, id, css) {
+  let style = doc.getElementById(id);
+
+  if (!style) {
+    style = doc.createElement("style");
+    style.id = id;
+    (doc.head || doc.documentElement).appendChild(style);
+  }
+
+  if (style.textContent !== css) style.textContent = css;
+  return style;
+}
+
+/********************************************************************
+ * Inject Over-rides into the iframe safely
+ ********************************************************************/
+/**
+ * Returns the document's watcher runtime, or null when the document
+ * isn't reachable (cross-origin → bridge) or not ready yet.
+ */
+function injectOverridesIntoIframe(iframe, extraRules = []) {
+  dvLog("[delphi-styling] injectOverridesIntoIframe called");
+
+  // Kill iframe scrollbar as early as possible
+  preKillIframeScrollbar(iframe);
+
+  function doInject() {
+    let doc;
+    try {
+      doc = iframe.contentDocument || iframe.contentWindow.document;
+      dvLog("[delphi-styling] iframe.contentDocument is:", doc);
+    } catch (e) {
+      // Cross-origin embed: hand over to the frame agent via postMessage
+      dvLog("[delphi-styling] iframe is cross-origin, falling back to postMessage bridge", e);
+
+      // Built rules ({ name, apply }) can't be serialized, only specs
+      startDelphiBridge(iframe, extraRules.filter((rule) => typeof rule?.apply !== "function"));
+      return null;
+    }
+
+    if (!doc) {
+      dvError("[delphi-styling] iframe document is NULL");
+      return null;
+    }
+
+    const head = doc.head;
+    if (!head) {
+      dvError("[delphi-styling] No <head> in iframe doc");
+      return null;
+    }
+
+    // CSS injections
+    upsertStyleElement(doc, INJECT_CSS_STYLE_ID, getDelphiOverrideCss());
+
+    dvLog("[delphi-styling] CSS injected into iframe"); 
+    emitDelphiEvent(DELPHI_EVENTS.OVERRIDES_INJECTED, { iframe, via: "direct" });
+
+    // Install + keep enforcing DOM rules (single observer)
+    registerDelphiDomRules(iframe, extraRules);
+
+    // Enable automatic resizing after CSS injection
+    enableIframeAutoResize(iframe);
+
+    return getDelphiWatcherRuntime(doc);
+  }
+
+  return doInject();
+}
+
+/********************************************************************
+ * Cross-origin postMessage bridge
+ * ------------------------------------------------------------------
+ * When the Delphi iframe is served from another origin, the parent
+ * page can't read contentDocument, so nothing above works.
+ *
+ * Instead, this same file runs a second time *inside* the embed as a
+ * "frame agent" (loaded with data-dv-frame-agent, see below) and both
+ * sides talk over postMessage:
+ *
+ *   agent → parent   ready          { mode }
+ *                    height         { height, mode, messages? }
+ *                    mode           { mode, previous }
+ *                    health         { report }  (see "Selector health")
+ *                    composer-result { id, ok }
+ *   parent → agent   request-state  {}
+ *                    apply-css      { id, css }
+ *                    apply-rules    { rules: [rule specs] }
+ *                    set-view       { mode }
+ *                    composer       { id, action, text }  (see "Composer bridge")
+ *
+ * Envelope: { channel: "demandvox-delphi", version: 1, type, payload }
+ *
+ * Messages from origins outside the allow-list, or that don't match
+ * the schema for their direction, are dropped.
+ ********************************************************************/
+const DELPHI_BRIDGE_CHANNEL = "demandvox-delphi";
+const DELPHI_BRIDGE_VERSION = 1;
+
+const DELPHI_BRIDGE_READY_TIMEOUT_MS = 5000;
+
+// Origins the parent accepts as a Delphi embed ("*" = one host label / port)
+const DELPHI_BRIDGE_EMBED_ORIGINS = ["https://delphi.ai", "https://*.delphi.ai"];
+
+const DELPHI_BRIDGE_SCHEMAS = {
+  toParent: {
+    ready: { mode: "string" },
+    height: { height: "number", mode: "string" },
+    mode: { mode: "string", previous: "string" },
+    health: { report: "object" },
+    "composer-result": { id: "string", ok: "boolean" },
+  },
+  toAgent: {
+    "request-state": {},
+    "apply-css": { id: "string", css: "string" },
+    "apply-rules": { rules: "array" },
+    "set-view": { mode: "string" },
+    composer: { id: "string", action: "string", text: "string" },
+  },
+};
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isAllowedBridgeOrigin(origin, allowList) {
+  if (!origin || origin === "null") return false;
+
+  return allowList.some((pattern) => {
+    if (pattern === origin) return true;
+    if (!pattern.includes("*")) return false;
+
+    const re = new RegExp("^" + pattern.split("*").map(escapeRegExp).join("[^./:]+") + "$");
+    return re.test(origin);
+  });
+}
+
+/**
+ * Returns { type, payload } for a valid bridge message, null otherwise.
+ * Foreign messages (other channels) are ignored silently; ours that
+ * fail validation are logged since they point at a version mismatch.
+ */
+function parseDelphiBridgeMessage(data, schemas) {
+  if (!data || typeof data !== "object" || data.channel !== DELPHI_BRIDGE_CHANNEL) return null;
+
+  const schema = Object.prototype.hasOwnProperty.call(schemas, data.type) ? schemas[data.type] : null;
+  const payload = data.payload;
+
+  const valid =
+    data.version === DELPHI_BRIDGE_VERSION &&
+    schema &&
+    payload &&
+    typeof payload === "object" &&
+    Object.entries(schema).every(([key, kind]) => {
+      const value = payload[key];
+      if (kind === "array") return Array.isArray(value);
+      if (kind === "number") return Number.isFinite(value);
+      return typeof value === kind;
+    });
+
+  if (!valid) {
+    dvWarn("[delphi-bridge] Dropping invalid message", data);
+    return null;
+  }
+
+  return { type: data.type, payload };
+}
+
+function postDelphiBridgeMessage(targetWindow, targetOrigin, type, payload = {}) {
+  if (!targetWindow || !targetOrigin) return;
+
+  targetWindow.postMessage(
+    { channel: DELPHI_BRIDGE_CHANNEL, version: DELPHI_BRIDGE_VERSION, type, payload },
+    targetOrigin
+  );
+}
+
+function getIframeOrigin(iframe) {
+  try {
+    return new URL(iframe.src, window.location.href).origin;
+  } catch {
+    return null;
+  }
+}
+
+/********************************************************************
+ * Bridge: parent side
+ * ------------------------------------------------------------------
+ * Mirrors what injectOverridesIntoIframe() + enableIframeAutoResize()
+ * do on a same-origin document:
+ * - ships the override CSS and DOM rule specs to the agent
+ * - applies reported heights (never below the viewport minimum)
+ * - scrolls the composer into view when chat mode is entered
+ ********************************************************************/
+// One bridge per iframe element: the agent re-announces itself after
+// each reload, so unlike the watcher runtime it outlives documents
+const delphiBridges = new WeakMap();
+
+function getDelphiBridge(iframe) {
+  return delphiBridges.get(iframe) || null;
+}
+
+function startDelphiBridge(iframe, extraRuleSpecs = []) {
+  // Install-once guard
+  const existing = delphiBridges.get(iframe);
+  if (existing) {
+    existing.requestState();
+    return existing;
+  }
+
+  let targetOrigin = getIframeOrigin(iframe);
+
+  if (!isAllowedBridgeOrigin(targetOrigin, DELPHI_BRIDGE_EMBED_ORIGINS)) {
+    dvWarn("[delphi-bridge] iframe origin not in allow-list, bridge disabled:", targetOrigin);
+    restoreIframeScrolling(iframe);
+    return null;
+  }
+
+  // No agent inside the embed → undo preKillIframeScrollbar() so the
+  // visitor can still scroll the embed natively
+  const readyTimer = setTimeout(() => {
+    dvWarn("[delphi-bridge] No frame agent answered, restoring native iframe scrolling");
+    restoreIframeScrolling(iframe);
+  }, DELPHI_BRIDGE_READY_TIMEOUT_MS);
+
+  const send = (type, payload) => postDelphiBridgeMessage(iframe.contentWindow, targetOrigin, type, payload);
+
+  const metrics = createDelphiResizeMetrics("bridge");
+
+  // Composer requests waiting for the agent's answer: id → resolve
+  const pendingComposer = new Map();
+
+  // Same scroll intent as the same-origin engine, from the agent's reports
+  const follower = createDelphiScrollFollower(iframe);
+
+  // The minimum height follows the viewport (rotation): re-apply the
+  // agent's last report against the new one
+  let lastReportedHeight = null;
+  const onWindowResize = () => {
+    if (lastReportedHeight === null) return;
+
+    const minHeight = getMinIframeHeight(iframe);
+    iframe.style.minHeight = minHeight + "px";
+    iframe.style.height = Math.max(Math.ceil(lastReportedHeight), minHeight) + "px";
+  };
+  window.addEventListener("resize", onWindowResize, { passive: true });
+
+  const handlers = {
+    ready({ mode }) {
+      dvLog("[delphi-bridge] agent ready, mode:", mode);
+      clearTimeout(readyTimer);
+
+      send("apply-css", { id: INJECT_CSS_STYLE_ID, css: getDelphiOverrideCss() });
+      send("apply-rules", { rules: localizeDelphiRuleSpecs([...getDelphiDomRuleSpecs(), ...extraRuleSpecs]) });
+      emitDelphiEvent(DELPHI_EVENTS.OVERRIDES_INJECTED, { iframe, via: "bridge" });
+
+      // A (re)announcing agent is the bridge's equivalent of the initial mode
+      if (delphiEventState.get(DELPHI_EVENTS.MODE_CHANGE)?.mode !== mode) {
+        emitDelphiEvent(DELPHI_EVENTS.MODE_CHANGE, { iframe, previous: null, mode });
+      }
+    },
+
+    height({ height, mode, messages }) {
+      lastReportedHeight = height;
+      const finalHeight = Math.max(Math.ceil(height), getMinIframeHeight(iframe));
+      const changed = iframe.style.height !== finalHeight + "px";
+
+      // Each report is itself the trigger: the agent only sends on change
+      markDelphiResizeTrigger(metrics);
+      iframe.style.height = finalHeight + "px";
+      recordDelphiResize(metrics, finalHeight, changed);
+
+      // messages: optional (agents before it was added don't send it)
+      follower.update({ mode, messages: Number.isFinite(messages) ? messages : null });
+    },
+
+    mode({ mode, previous }) {
+      dvLog("[delphi-bridge] mode change:", previous, "→", mode);
+      metrics.modeChanges++;
+      emitDelphiEvent(DELPHI_EVENTS.MODE_CHANGE, { iframe, previous, mode });
+
+      // Same correction as the same-origin loop: let layout settle, then
+      // bring the composer into view
+      if (mode === "chat_mode") {
+        setTimeout(() => follower.enterChat(), 150);
+      } else {
+        follower.update({ mode });
+      }
+    },
+
+    health({ report }) {
+      if (!report) return;
+
+      const previous = bridge.health?.status || "unknown";
+      bridge.health = { ...report, embed: "cross-origin" };
+
+      if (report.status !== previous) {
+        emitDelphiEvent(DELPHI_EVENTS.HEALTH_CHANGE, {
+          iframe,
+          previous,
+          status: report.status,
+          problems: report.problems || [],
+          report: bridge.health,
+        });
+      }
+    },
+
+    "composer-result"({ id, ok }) {
+      pendingComposer.get(id)?.(ok);
+    },
+  };
+
+  function onMessage(event) {
+    if (event.source !== iframe.contentWindow) return;
+    if (!isAllowedBridgeOrigin(event.origin, DELPHI_BRIDGE_EMBED_ORIGINS)) return;
+
+    const msg = parseDelphiBridgeMessage(event.data, DELPHI_BRIDGE_SCHEMAS.toParent);
+    if (!msg) return;
+
+    // Follow the embed if it navigated to another allowed origin
+    targetOrigin = event.origin;
+    handlers[msg.type](msg.payload);
+  }
+  window.addEventListener("message", onMessage);
+
+  const bridge = {
+    metrics,
+    follower,
+    health: null, // latest report from the agent
+    requestState: () => send("request-state"),
+    setView: (mode) => send("set-view", { mode }),
+    applyRules: (rules) => send("apply-rules", { rules }),
+    applyCss: (id, css) => send("apply-css", { id, css }),
+
+    composer(action, text = "") {
+      const id = Math.random().toString(36).slice(2, 10);
+
+      return new Promise((resolve) => {
+        // The agent waits up to DELPHI_COMPOSER_WAIT_TIMEOUT_MS itself
+        const timer = setTimeout(() => {
+          dvWarn(`[delphi-bridge] No answer from the agent for composer ${action}`);
+          done(false);
+        }, DELPHI_COMPOSER_WAIT_TIMEOUT_MS + DELPHI_BRIDGE_READY_TIMEOUT_MS);
+
+        function done(ok) {
+          clearTimeout(timer);
+          pendingComposer.delete(id);
+          resolve(ok);
+        }
+
+        pendingComposer.set(id, done);
+        send("composer", { id, action, text: String(text ?? "") });
+      });
+    },
+
+    destroy() {
+      clearTimeout(readyTimer);
+      for (const done of [...pendingComposer.values()]) done(false);
+      window.removeEventListener("message", onMessage);
+      window.removeEventListener("resize", onWindowResize, { passive: true });
+      follower.destroy();
+      delphiBridges.delete(iframe);
+      dvLog("[delphi-bridge] parent bridge stopped");
+    },
+  };
+  delphiBridges.set(iframe, bridge);
+
+  dvLog("[delphi-bridge] parent bridge started for", targetOrigin);
+
+  // In case the agent announced itself before we were listening
+  bridge.requestState();
+
+  return bridge;
+}
+
+/********************************************************************
+ * Bridge: frame agent (runs inside the Delphi document)
+ * ------------------------------------------------------------------
+ * Include this file (after config.js + logger.js) inside the embed with:
+ *
+ *   <script src=".../config.js"></script>
+ *   <script src=".../logger.js"></script>
+ *   <script src=".../delphi.js" data-dv-frame-agent
+ *           data-dv-parent-origins="https://your-site.pages.dev,https://www.example.com">
+ *   </script>
+ *
+ * data-dv-parent-origins is required: the agent applies CSS and HTML
+ * rules on request, so it only listens to pages we own.
+ ********************************************************************/
+function startDelphiFrameAgent(script) {
+  if (window.parent === window) {
+    dvWarn("[delphi-agent] Not running inside an iframe, agent disabled");
+    return;
+  }
+
+  const allowList = (script?.dataset.dvParentOrigins || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+  if (!allowList.length) {
+    dvError("[delphi-agent] data-dv-parent-origins is empty, agent disabled");
+    return;
+  }
+
+  const runtime = ensureDelphiWatcherRuntimeForDoc(document);
+  if (!runtime) {
+    dvWarn("[delphi-agent] document.body not available");
+    return;
+  }
+
+  // Best first guess until the parent talks to us
+  let parentOrigin = null;
+  try {
+    const referrerOrigin = document.referrer ? new URL(document.referrer).origin : null;
+    if (isAllowedBridgeOrigin(referrerOrigin, allowList)) parentOrigin = referrerOrigin;
+  } catch {
+    // no usable referrer
   }
 
-  /******************************************************************
-   * resizeIframe()
-   * ---------------------------------------------------------------
-   * Core resizing logic:
-   * - Never smaller than MIN_IFRAME_VIEWPORT_RATIO of viewport
-   * - Grow with content of the active view
-   * - Controlled auto-scroll in chat mode only
-   ******************************************************************/
-  function resizeIframe() {
-    const mode = getDelphiMode(doc);
+  const send = (type, payload) => postDelphiBridgeMessage(window.parent, parentOrigin, type, payload);
+
+  let lastMode = getDelphiMode(document);
+  let lastHeight = 0;
+
+  function report() {
+    // Paused while hidden, like the same-origin engine
+    if (document.hidden) return;
+
+    const mode = getDelphiMode(document);
+
+    if (mode !== lastMode) {
+      send("mode", { mode, previous: lastMode });
+      lastMode = mode;
+    }
+
+    const height = measureDelphiContentHeight(document, mode);
+    if (height !== lastHeight) {
+      lastHeight = height;
+      send("height", { height, mode, messages: queryDelphiSelectorAll(document, "assistantMessage").length });
+    }
+  }
+
+  const handlers = {
+    "request-state"() {
+      send("ready", { mode: lastMode });
+
+      // Force a fresh height report for the (possibly reloaded) parent
+      lastHeight = 0;
+      report();
+
+      if (runtime.health.status !== "unknown") {
+        send("health", { report: buildDelphiHealthReport(runtime.health, "cross-origin") });
+      }
+    },
+
+    "apply-css"({ id, css }) {
+      if (!/^dv-[\w-]+$/.test(id)) {
+        dvWarn("[delphi-agent] Refusing style id outside the dv- namespace:", id);
+        return;
+      }
+      upsertStyleElement(document, id, css);
+    },
+
+    // Same name = new version of a rule (e.g. relocalized text)
+    "apply-rules"({ rules }) {
+      for (const rule of rules.map(buildDelphiRuleFromSpec).filter(Boolean)) {
+        replaceDelphiDomRuleInRuntime(runtime, rule);
+      }
+    },
+
+    "set-view"({ mode }) {
+      if (!clickDelphiViewTrigger(document, mode)) {
+        dvWarn("[delphi-agent] No view trigger found for", mode);
+      }
+    },
+
+    composer({ id, action, text }) {
+      runDelphiComposerAction(() => document, action, text).then((ok) => send("composer-result", { id, ok }));
+    },
+  };
+
+  window.addEventListener("message", (event) => {
+    if (event.source !== window.parent) return;
+    if (!isAllowedBridgeOrigin(event.origin, allowList)) return;
+
+    const msg = parseDelphiBridgeMessage(event.data, DELPHI_BRIDGE_SCHEMAS.toAgent);
+    if (!msg) return;
+
+    parentOrigin = event.origin;
+    handlers[msg.type](msg.payload);
+  });
+
+  // Ride the single observer for mutation-driven changes...
+  addDelphiDomRuleToRuntime(runtime, { name: "bridge-report", apply: report });
+
+  // ...and a ResizeObserver for layout changes that aren't DOM mutations
+  // (web fonts, images finishing to load). Polling only as a fallback.
+  if (typeof ResizeObserver === "function") {
+    const resizeObserver = new ResizeObserver(report);
+    resizeObserver.observe(document.documentElement);
+  } else {
+    setInterval(report, RESIZE_INTERVAL_MS);
+  }
+
+  document.addEventListener("visibilitychange", report);
+
+  // Health is tracked in here (we own the document): forward it
+  onDelphiEvent(DELPHI_EVENTS.HEALTH_CHANGE, (e) => {
+    send("health", { report: { ...e.detail.report, embed: "cross-origin" } });
+  });
+
+  send("ready", { mode: lastMode });
+  dvLog("[delphi-agent] frame agent started, parent:", parentOrigin);
+}
+
+/********************************************************************
+ * Deep links + browser history
+ * ------------------------------------------------------------------
+ * The host URL mirrors the Delphi view so views can be shared and
+ * Back/Forward move between them:
+ *
+ *   /             → overview (canonical, no param)
+ *   /?view=chat   → chat       (#chat works too for incoming links)
+ *   /?view=call   → call
+ *   /?view=chat&q=Find%20an%20ABM%20agency  → chat, composer prefilled
+ *
+ * - The page bootstrap picks landingPage via getDelphiLandingPage()
+ * - Mode changes push a history entry (the initial one replaces it)
+ * - popstate asks Delphi to switch view by clicking its own controls
+ * - Only on the embed's own page: once the app shell (app-shell.js)
+ *   has moved to another route, the URL belongs to that page
+ ********************************************************************/
+const DELPHI_VIEW_PARAM = "view";
+const DELPHI_QUESTION_PARAM = "q";
+const DELPHI_QUESTION_MAX_LENGTH = 500;
+
+const DELPHI_VIEWS = {
+  overview: { mode: "overview_mode", landingPage: "OVERVIEW" },
+  chat: { mode: "chat_mode", landingPage: "CHAT" },
+  call: { mode: "call_mode", landingPage: "CALL" },
+};
+
+/**
+ * Control inside the embed that switches to each mode
+ * (DELPHI_SELECTORS key: selectors + fallbacks live in the registry).
+ */
+const DELPHI_VIEW_TRIGGERS = {
+  overview_mode: "overviewTrigger",
+  chat_mode: "chatTrigger",
+  call_mode: "callTrigger",
+};
+
+function getDelphiViewForMode(mode) {
+  return Object.keys(DELPHI_VIEWS).find((view) => DELPHI_VIEWS[view].mode === mode) || null;
+}
+
+function getDelphiViewFromUrl(href = window.location.href) {
+  try {
+    const url = new URL(href);
+    const view = (url.searchParams.get(DELPHI_VIEW_PARAM) || url.hash.slice(1)).toLowerCase();
+
+    if (DELPHI_VIEWS[view]) return view;
+
+    // A prefilled question only makes sense in chat
+    if (getDelphiInitialQuestion(href)) return "chat";
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+function getDelphiInitialQuestion(href = window.location.href) {
+  try {
+    const question = (new URL(href).searchParams.get(DELPHI_QUESTION_PARAM) || "").trim();
+    return question ? question.slice(0, DELPHI_QUESTION_MAX_LENGTH) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Read once at load: the URL sync below strips ?q= after the first view
+const DELPHI_INITIAL_QUESTION = getDelphiInitialQuestion();
 
-    const minHeight = Math.floor(window.innerHeight * MIN_IFRAME_VIEWPORT_RATIO);
+/**
+ * Used by the page bootstrap (window.delphi.page.overrides.landingPage).
+ */
+function getDelphiLandingPage() {
+  return DELPHI_VIEWS[getDelphiViewFromUrl() || "overview"].landingPage;
+}
 
-    // Measure from the active view container when possible
-    const root = getActiveHeightRoot(mode);
+function buildDelphiViewUrl(view) {
+  const url = new URL(window.location.href);
 
-    // scrollHeight is still the most practical metric, but on a smaller subtree
-    const contentHeight = root ? root.scrollHeight : doc.documentElement.scrollHeight;
+  url.searchParams.delete(DELPHI_VIEW_PARAM);
+  if (view && view !== "overview") url.searchParams.set(DELPHI_VIEW_PARAM, view);
 
-    const finalHeight = Math.max(contentHeight, minHeight);
+  // The question is a one-shot prefill: don't re-ask it on reload/Back
+  url.searchParams.delete(DELPHI_QUESTION_PARAM);
 
-    iframe.style.height = finalHeight + "px";
+  // Hash form is accepted on the way in, but we always write the param
+  if (DELPHI_VIEWS[url.hash.slice(1).toLowerCase()]) url.hash = "";
 
-    /**************************************************************
-     * Auto-scroll logic (steady state)
-     * -----------------------------------------------------------
-     * When we are already in chat mode, we may need one correction
-     * to keep the composer visible.
-     
-     * Auto-scroll logic (chat mode)
-     * -----------------------------------------------------------
-     * Ensures the composer is visible when entering chat.
-     * Runs:
-     * - Only in chat mode
-     * - Only if the user has not scrolled manually
-     * - Only once per chat entry
-     *
-     * Note:
-     * This correction is performed even if the iframe height
-     * does not exceed the viewport.
-     **************************************************************/
-    if (mode === "chat_mode" && !userHasScrolled && !firstAutoScrollDone) {
-      scrollOuterPageToIframeBottom();
-      firstAutoScrollDone = true;
+  return url.toString();
+}
+
+function clickDelphiViewTrigger(doc, mode) {
+  const el = queryDelphiSelector(doc, DELPHI_VIEW_TRIGGERS[mode]);
+  if (!el) return false;
+
+  el.click();
+  return true;
+}
+
+/**
+ * Ask the embed to switch view (same-origin click, or via the bridge).
+ */
+function requestDelphiView(iframe, view) {
+  const mode = DELPHI_VIEWS[view]?.mode;
+  if (!mode) return;
+
+  const doc = getIframeDoc(iframe);
+  if (doc) {
+    if (!clickDelphiViewTrigger(doc, mode)) {
+      dvWarn(`[delphi-history] No view trigger found for ${mode}; check DELPHI_SELECTORS.${DELPHI_VIEW_TRIGGERS[mode]}`);
     }
+    return;
   }
 
-  /******************************************************************
-   * Detect manual user scroll
-   * ---------------------------------------------------------------
-   * If the user scrolls while in chat mode, disable auto-scroll
-   * so we never fight the user.
-   ******************************************************************/
-  window.addEventListener(
-    "scroll",
-    () => {
-      if (getDelphiMode(doc) === "chat_mode") {
-        userHasScrolled = true;
-      }
-    },
-    { passive: true }
-  );
-
-  /******************************************************************
-   * Initial sizing
-   ******************************************************************/
-  resizeIframe();
+  getDelphiBridge(iframe)?.setView(mode);
+}
 
-  /******************************************************************
-   * Periodic reconciliation loop
-   * ---------------------------------------------------------------
-   * Keeps us robust against Delphi SPA view changes.
-   * Runs continuously to keep iframe size in sync with content.
-   * Mode changes trigger additional corrective behavior.
-   
-   * Why polling?
-   * ---------------------------------------------------------------
-   * Delphi is a SPA with no stable public events for:
-   * - View transitions (overview / chat / call)
-   * - Message streaming
-   * - Layout recalculations
-   *
-   * A lightweight polling loop ensures resilience without
-   * coupling to internal Delphi implementation details.
-   **************************************************************/
-  iframe.__dvResizeIntervalId = setInterval(() => {
-    const mode = getDelphiMode(doc);
+/**
+ * Returns an uninstall function.
+ */
+function installDelphiHistorySync(iframe) {
+  // Set while we drive Delphi from popstate, so the resulting mode
+  // change doesn't push a duplicate entry on top of the one we're on
+  let pendingHistoryView = null;
 
-    // Always keep size reasonably fresh
-    resizeIframe();
+  // Host page only: normalizeLayoutPath comes from layout.js ("/index.html" and "/" are one page, as for the app shell)
+  const embedPath = normalizeLayoutPath(window.location.pathname);
+  const onEmbedPage = () => normalizeLayoutPath(window.location.pathname) === embedPath;
 
-    /**************************************************************
-     * Mode transition handling
-     **************************************************************/
-    if (mode !== lastMode) {
-      dvLog("[delphi-resize] mode change:", lastMode, "→", mode);
-
-      /**********************************************************
-       * Entering chat mode
-       * -------------------------------------------------------
-       * We force a fresh scroll correction regardless of height.
-       * This fixes the case: start in overview, click Chat, and
-       * the composer is below the fold.
-       **********************************************************/
-      if (mode === "chat_mode") {
-        userHasScrolled = false;
-        firstAutoScrollDone = false;
+  const offModeChange = onDelphiEvent(DELPHI_EVENTS.MODE_CHANGE, (event) => {
+    const view = getDelphiViewForMode(event.detail.mode);
+    if (!view || !onEmbedPage()) return;
 
-        // Let layout settle before correcting
-        setTimeout(() => {
-          resizeIframe();
+    const url = buildDelphiViewUrl(view);
+    const state = { ...(history.state || {}), dvView: view };
 
-          // Always do the correction when entering chat
-          scrollOuterPageToIframeBottom();
-          firstAutoScrollDone = true;
-        }, 150);
-      }
+    if (event.detail.previous === null || pendingHistoryView === view) {
+      pendingHistoryView = null;
+      history.replaceState(state, "", url);
+      return;
+    }
 
-      lastMode = mode;
+    if (url !== window.location.href) {
+      history.pushState(state, "", url);
+      dvLog("[delphi-history] pushed view:", view);
     }
-  }, RESIZE_INTERVAL_MS);
-}
+  });
+
+  function onPopState() {
+    if (!onEmbedPage()) return;
 
+    const view = getDelphiViewFromUrl() || "overview";
+    const currentMode = delphiEventState.get(DELPHI_EVENTS.MODE_CHANGE)?.mode;
 
+    if (DELPHI_VIEWS[view].mode === currentMode) return;
+
+    dvLog("[delphi-history] popstate → view:", view);
+    pendingHistoryView = view;
+    requestDelphiView(iframe, view);
+  }
+  window.addEventListener("popstate", onPopState);
+
+  return () => {
+    offModeChange();
+    window.removeEventListener("popstate", onPopState);
+  };
+}
 
 /********************************************************************
- * Pre-inject CSS IMMEDIATELY to kill iframe scrollbar
- * This prevents the iframe scrollbar flash AND the scrollbar tip.
+ * Composer bridge
+ * ------------------------------------------------------------------
+ * Lets the host page talk into the chat (prompt chips, CTAs...):
+ *
+ *   DemandVox.delphi.sendMessage("Find an ABM agency under $10k/mo")
+ *   DemandVox.delphi.prefill("Compare intent data providers")
+ *   DemandVox.delphi.focusComposer()
+ *
+ * Each returns a Promise<boolean> (false if the composer never showed
+ * up). Outside chat mode the embed is switched to chat first
+ * (@chatTrigger), then we wait for @composer before typing. Sending
+ * clicks @sendButton, or presses Enter in the composer without one.
+ *
+ * Same-origin: done here on the iframe document. Cross-origin: the
+ * frame agent does it on request ("composer" bridge message).
  ********************************************************************/
-function preKillIframeScrollbar(iframe) {
-  try {
-    // Kill frame-level scrollbar
-    iframe.setAttribute("scrolling", "no");
-    iframe.style.overflow = "hidden";
+const DELPHI_COMPOSER_ACTIONS = ["send", "prefill", "focus"];
+const DELPHI_COMPOSER_WAIT_TIMEOUT_MS = 10000;
 
-    const doc = iframe.contentDocument || iframe.contentWindow.document;
-    if (!doc) return;
+// React enables the send button on the render after the input event
+const DELPHI_COMPOSER_SEND_DELAY_MS = 50;
 
-    const style = doc.createElement("style");
-    style.textContent = `
-      /* HARD override to remove scrollbars inside the iframe instantly */
-      html, body {
-        scrollbar-width: none !important;      /* Firefox */
-        -ms-overflow-style: none !important;   /* IE */
+function submitDelphiComposer(doc, composer) {
+  const button = queryDelphiSelector(doc, "sendButton");
+  if (button && !button.disabled) {
+    button.click();
+    return;
+  }
+
+  const view = doc.defaultView;
+  composer.dispatchEvent(new view.KeyboardEvent("keydown", { key: "Enter", code: "Enter", keyCode: 13, bubbles: true, cancelable: true }));
+}
+
+function applyDelphiComposerAction(doc, composer, action, text) {
+  if (action !== "focus") setDelphiInputValue(composer, text);
+  composer.focus({ preventScroll: true });
+
+  if (action !== "send") return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    setTimeout(() => {
+      submitDelphiComposer(doc, composer);
+      resolve(true);
+    }, DELPHI_COMPOSER_SEND_DELAY_MS);
+  });
+}
+
+/**
+ * getDoc is called on every attempt: switching view may load a new
+ * document in the iframe.
+ */
+function runDelphiComposerAction(getDoc, action, text = "") {
+  if (!DELPHI_COMPOSER_ACTIONS.includes(action)) {
+    dvWarn(`[delphi-composer] Unknown action "${action}"`);
+    return Promise.resolve(false);
+  }
+
+  // Not trimmed: a prefill may end with a space for the visitor to go on
+  const value = String(text ?? "").slice(0, DELPHI_QUESTION_MAX_LENGTH);
+  if (action !== "focus" && !value.trim()) {
+    dvWarn(`[delphi-composer] Nothing to ${action}: empty text`);
+    return Promise.resolve(false);
+  }
+
+  const start = Date.now();
+  let viewRequested = false;
+
+  return new Promise((resolve) => {
+    function attempt() {
+      const doc = getDoc();
+
+      if (doc) {
+        const inChat = getDelphiMode(doc) === "chat_mode";
+        const composer = inChat && queryDelphiSelector(doc, "composer");
+
+        if (composer) {
+          dvLog(`[delphi-composer] ${action}${viewRequested ? " (after switching to chat)" : ""}`);
+          resolve(applyDelphiComposerAction(doc, composer, action, value));
+          return;
+        }
+
+        // Click once: the trigger may toggle, and chat takes a moment to render
+        if (!inChat && !viewRequested) viewRequested = clickDelphiViewTrigger(doc, "chat_mode");
       }
-      html::-webkit-scrollbar,
-      body::-webkit-scrollbar {
-        display: none !important;              /* Chrome / Safari */
+
+      if (Date.now() - start > DELPHI_COMPOSER_WAIT_TIMEOUT_MS) {
+        dvWarn(`[delphi-composer] Composer not found, ${action} dropped; check DELPHI_SELECTORS.composer / .chatTrigger`);
+        resolve(false);
+        return;
       }
-    `;
-    doc.head.appendChild(style);
-  } catch (e) {
-    dvWarn("[delphi-styling] Cannot pre-inject scrollbar-kill CSS", e);
-  }
+
+      setTimeout(attempt, DV_CONFIG.iframeWaitIntervalMs);
+    }
+
+    attempt();
+  });
 }
 
 /********************************************************************
- * Override Delphi copy
+ * Public API: window.DemandVox.delphi
+ * ------------------------------------------------------------------
+ *   DemandVox.delphi.init("#delphi-frame", { history: true, rules: [] })
+ *   DemandVox.delphi.getMode()       // "chat_mode" | "overview_mode" | ...
+ *   DemandVox.delphi.resize()        // reconcile the iframe height now
+ *   DemandVox.delphi.addRule(rule)   // JSON spec or { name, apply(doc) }
+ *   DemandVox.delphi.applyCss(id, css) // upsert a <style id> in the embed
+ *   DemandVox.delphi.getHealthReport() // selector health (JSON-serializable)
+ *   DemandVox.delphi.runRules()      // re-run every DOM rule now
+ *   DemandVox.delphi.sendMessage(text) // see "Composer bridge"
+ *   DemandVox.delphi.prefill(text)
+ *   DemandVox.delphi.focusComposer()
+ *   DemandVox.delphi.getDebugSnapshot() // state shown by the debug overlay
+ *   DemandVox.delphi.reinit()        // destroy() + init() with the same args
+ *   DemandVox.delphi.destroy()       // stop observers, timers, listeners
+ *
+ * init() runs automatically on DOMContentLoaded unless the script tag
+ * has data-dv-manual-init.
+ *
+ * Lifecycle: everything installed *inside* a document (observer, rules,
+ * resize engine + its host listeners) belongs to that document's
+ * watcher runtime. When the iframe loads a new document, the old
+ * runtime is destroyed and the new document gets its own.
  ********************************************************************/
-// function hideTitleInTextChat(iframe) {
-//   try {
-//     const doc = iframe.contentDocument || iframe.contentWindow?.document;
-//     if (!doc) return;
+function createDelphiController() {
+  // Current embed session (null when not initialized)
+  let session = null;
 
-//     const apply = () => {
-//       const h1 = doc.querySelector("h1.delphi-talk-title-text");
-//       if (!h1) return;
+  // addRule() calls made before init() (scripts loaded in <head>)
+  let queuedRules = [];
 
-//       // Keep layout space so other header items don't shift
-//       if (h1.style.visibility !== "hidden") {
-//         h1.style.visibility = "hidden";
-//         dvLog("[delphi] Title hidden (layout preserved)");
-//       }
-//     };
+  function getRuntime() {
+    return session?.runtime?.installed ? session.runtime : null;
+  }
 
-//     // Apply immediately
-//     apply();
+  function attachDocument() {
+    const { iframe } = session;
 
-//     // Re-apply if Delphi re-renders the header
-//     const obs = new MutationObserver(apply);
-//     obs.observe(doc.body || doc.documentElement, { childList: true, subtree: true });
-//   } catch (e) {
-//     dvWarn("[delphi] Failed to hide iframe title", e);
-//   }
-// }
+    // Tear down whatever belonged to the previous document
+    session.runtime?.destroy();
+    session.runtime = null;
 
-/********************************************************************
- * Inject Over-rides into the iframe safely
- ********************************************************************/
-function injectOverridesIntoIframe(iframe) {
-  dvLog("[delphi-styling] injectOverridesIntoIframe called");
+    session.runtime = injectOverridesIntoIframe(iframe, session.rules);
+  }
 
-  // Kill iframe scrollbar as early as possible
-  preKillIframeScrollbar(iframe);
+  function attachIframe(iframe) {
+    session.iframe = iframe;
 
-  function doInject() {
-    let doc;
-    try {
-      doc = iframe.contentDocument || iframe.contentWindow.document;
-      dvLog("[delphi-styling] iframe.contentDocument is:", doc);
-    } catch (e) {
-      dvError("[delphi-styling] Cannot access iframe document", e);
-      return;
+    // Keep the host URL and Back/Forward in sync with Delphi views
+    if (session.options.history) {
+      session.cleanups.push(installDelphiHistorySync(iframe));
     }
 
-    if (!doc) {
-      dvError("[delphi-styling] iframe document is NULL");
-      return;
-    }
+    // Each load is a new document: re-attach everything to it
+    let loadCount = 0;
+    const onLoad = () => {
+      loadCount++;
+      emitDelphiEvent(DELPHI_EVENTS.IFRAME_RELOADED, { iframe, loadCount });
+      attachDocument();
+    };
+    iframe.addEventListener("load", onLoad);
+    session.cleanups.push(() => iframe.removeEventListener("load", onLoad));
+
+    // Locale switched on the host: text rules re-read their textKey
+    const onLocaleChange = () => {
+      const runtime = getRuntime();
+      if (runtime) {
+        runtime.runAll();
+        return;
+      }
 
-    const head = doc.head;
-    if (!head) {
-      dvError("[delphi-styling] No <head> in iframe doc");
-      return;
-    }
+      const specs = [...getDelphiDomRuleSpecs(), ...session.rules].filter((spec) => spec?.textKey && typeof spec.apply !== "function");
+      getDelphiBridge(iframe)?.applyRules(localizeDelphiRuleSpecs(specs));
+    };
+    document.addEventListener(DELPHI_LOCALE_CHANGE_EVENT, onLocaleChange);
+    session.cleanups.push(() => document.removeEventListener(DELPHI_LOCALE_CHANGE_EVENT, onLocaleChange));
 
-    // CSS injections
-    const INJECT_CSS_STYLE_ID = "dv-delphi-overrides";
-    let style = doc.getElementById(INJECT_CSS_STYLE_ID);
-    
-    if (!style) {
-      style = doc.createElement("style");
-      style.id = INJECT_CSS_STYLE_ID;
-      head.appendChild(style);
-    }
-    
-    style.textContent = `
-      /* Example: styling access confirmed */
-      /* .delphi-talk-container { background: red !important; } */
+    attachDocument();
+  }
 
-      /* IMPORTANT: do NOT hide overflow here anymore or scrolling breaks */
-      html, body {
-        overflow: visible !important;
-        height: auto !important;
+  // Composer calls can come before the loader created the iframe
+  function whenIframeFound() {
+    if (session?.iframe) return Promise.resolve(session.iframe);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        off();
+        resolve(null);
+      }, DV_CONFIG.iframeWaitTimeoutMs);
+
+      const off = onDelphiEvent(DELPHI_EVENTS.IFRAME_FOUND, (e) => {
+        clearTimeout(timer);
+        off();
+        resolve(e.detail.iframe);
+      });
+    });
+  }
 
-        /* Keep scrollbars visually hidden but content still allowed to overflow */
-        scrollbar-width: none !important;      /* Firefox */
-        -ms-overflow-style: none !important;   /* IE */
+  function runComposer(action, text) {
+    return whenIframeFound().then((iframe) => {
+      if (!iframe) {
+        dvWarn(`[delphi-composer] No Delphi iframe, ${action} dropped`);
+        return false;
       }
-      html::-webkit-scrollbar,
-      body::-webkit-scrollbar {
-        display: none !important;              /* Chrome / Safari */
+
+      // A bridge only exists for cross-origin embeds
+      const bridge = getDelphiBridge(iframe);
+      const run = bridge ? bridge.composer(action, text) : runDelphiComposerAction(() => getIframeDoc(iframe), action, text);
+
+      return run.then((ok) => {
+        // Bring the composer into view
+        if (ok) scrollOuterPageToIframeBottom(iframe);
+        return ok;
+      });
+    });
+  }
+
+  const controller = {
+    events: DELPHI_EVENTS,
+    on: onDelphiEvent,
+    off: offDelphiEvent,
+
+    init(selector = DELPHI_IFRAME_SELECTOR, options = {}) {
+      if (session) {
+        dvWarn("[delphi] Already initialized; call reinit() to start over");
+        return controller;
       }
 
-      /* Remove the left Delphi logo button (desktop) AND the mobile one */
-      button.delphi-header-logo {
-        display: none !important;
+      session = {
+        selector,
+        options: { history: true, rules: [], ...options },
+        rules: [...queuedRules.splice(0), ...(options.rules || [])],
+        iframe: null,
+        runtime: null,
+        cleanups: [],
+      };
+
+      if (DV_CONFIG.healthWarning) {
+        session.cleanups.push(installDelphiHealthWarning());
       }
-      
-      /* Make the chat top nav a simple "left content / right actions" bar */
-      nav.from-sand-1.bg-sand-1.grid {
-        display: flex !important;
-        align-items: center !important;
-        justify-content: space-between !important;
+
+      const cancelWait = waitForIframe(selector, attachIframe);
+      session.cleanups.push(cancelWait);
+
+      return controller;
+    },
+
+    destroy() {
+      if (!session) return;
+
+      session.runtime?.destroy();
+      if (session.iframe) getDelphiBridge(session.iframe)?.destroy();
+
+      for (const cleanup of session.cleanups.splice(0).reverse()) cleanup();
+
+      // Late subscribers must not be replayed a state that no longer exists
+      delphiEventState.clear();
+
+      session = null;
+      dvLog("[delphi] Controller destroyed");
+    },
+
+    reinit() {
+      if (!session) {
+        dvWarn("[delphi] reinit() before init(): nothing to restart");
+        return controller;
       }
-      
-      /* Ensure the title block (avatar + hidden h1) sits on the left */
-      nav.from-sand-1.bg-sand-1 .delphi-talk-title-link {
-        justify-content: flex-start !important;
-        width: auto !important;
+
+      const { selector, options } = session;
+      const rules = session.rules;
+
+      controller.destroy();
+      return controller.init(selector, { ...options, rules });
+    },
+
+    resize() {
+      const runtime = getRuntime();
+      if (runtime?.autoResize) {
+        runtime.autoResize.reconcile();
+        return;
       }
-      
-      /* Optional: avoid the middle container trying to center things */
-      nav.from-sand-1.bg-sand-1 [data-sentry-component="TalkTitle"] {
-        margin: 0 !important;
+
+      if (session?.iframe) getDelphiBridge(session.iframe)?.requestState();
+    },
+
+    getMode() {
+      const runtime = getRuntime();
+      if (runtime) return getDelphiMode(runtime.doc);
+
+      return delphiEventState.get(DELPHI_EVENTS.MODE_CHANGE)?.mode || "unknown_mode";
+    },
+
+    addRule(ruleOrSpec) {
+      const rule = toDelphiDomRule(ruleOrSpec);
+      if (!rule) return;
+
+      // Picked up by the next init()
+      if (!session) {
+        queuedRules.push(ruleOrSpec);
+        return;
       }
-      
-      /* Keep existing title invisibility (you already did it inline) */
-      h1.delphi-talk-title-text {
-        visibility: hidden !important;
+
+      // Kept on the session so reloaded documents get it too
+      session.rules.push(ruleOrSpec);
+
+      const runtime = getRuntime();
+      if (runtime) {
+        addDelphiDomRuleToRuntime(runtime, rule);
+        return;
       }
-    `;
-    
-    dvLog("[delphi-styling] CSS injected into iframe"); 
 
-    // Install + keep enforcing DOM rules (single observer)
-    registerDelphiDomRules(iframe);
+      // Only JSON specs can cross the bridge
+      const bridge = session.iframe && getDelphiBridge(session.iframe);
+      if (bridge && typeof ruleOrSpec.apply !== "function") bridge.applyRules(localizeDelphiRuleSpecs([ruleOrSpec]));
+    },
 
-    // Enable automatic resizing after CSS injection
-    enableIframeAutoResize(iframe);
-  }
+    /**
+     * Upsert a stylesheet inside the embed (directly, or via the bridge).
+     * Not replayed after reloads: callers re-apply on OVERRIDES_INJECTED.
+     */
+    applyCss(id, css) {
+      if (!session?.iframe) return false;
+
+      // A bridge only exists for cross-origin embeds
+      const bridge = getDelphiBridge(session.iframe);
+      if (bridge) {
+        bridge.applyCss(id, css);
+        return true;
+      }
+
+      const doc = getIframeDoc(session.iframe);
+      if (!doc?.head) return false;
+
+      upsertStyleElement(doc, id, css);
+      return true;
+    },
+
+    getIframe() {
+      return session?.iframe || null;
+    },
+
+    sendMessage: (text) => runComposer("send", text),
+    prefill: (text) => runComposer("prefill", text),
+    focusComposer: () => runComposer("focus"),
+
+    /**
+     * Same-origin: runs a fresh check first. Cross-origin: the agent's
+     * latest report. Status "unknown" when neither is available.
+     */
+    getHealthReport() {
+      const runtime = getRuntime();
+      if (runtime) {
+        runtime.health.check(true);
+        return buildDelphiHealthReport(runtime.health, "same-origin");
+      }
+
+      const bridgeReport = session?.iframe && getDelphiBridge(session.iframe)?.health;
+      if (bridgeReport) return JSON.parse(JSON.stringify(bridgeReport));
+
+      return buildDelphiHealthReport(null, session?.iframe ? "cross-origin" : "none");
+    },
+
+    getResizeMetrics() {
+      const metrics =
+        getRuntime()?.autoResize?.metrics || (session?.iframe && getDelphiBridge(session.iframe)?.metrics);
 
-  doInject();
+      return snapshotDelphiResizeMetrics(metrics);
+    },
+
+    // Re-run every rule now (same-origin only: the agent runs its own)
+    runRules() {
+      const runtime = getRuntime();
+      if (!runtime) return false;
+
+      runtime.runAll();
+      return true;
+    },
+
+    /**
+     * Everything the debug overlay shows, as one JSON-serializable object.
+     */
+    getDebugSnapshot() {
+      const runtime = getRuntime();
+      const iframe = session?.iframe || null;
+
+      const resize = runtime?.autoResize?.getState() || {
+        mode: controller.getMode(),
+        contentHeight: null,
+        minHeight: getMinIframeHeight(iframe),
+        appliedHeight: iframe ? parseInt(iframe.style.height, 10) || null : null,
+        ...(iframe && getDelphiBridge(iframe)?.follower.getState()),
+      };
+
+      const rules = (runtime?.rules || []).map((rule) => ({
+        name: rule.name,
+        type: rule.type || null,
+        selector: rule.selector || null,
+        modes: rule.modes || null,
+        matched: rule.selector ? queryRuleTargets(runtime.doc, rule.selector, false).length > 0 : null,
+        ...(runtime.ruleStats.get(rule.name) || { runs: 0, lastAppliedAt: null, lastDurationMs: null, lastError: null }),
+      }));
+
+      return {
+        generatedAt: new Date().toISOString(),
+        env: DV_ENV.name,
+        config: { ...DV_CONFIG },
+        url: window.location.href,
+        embed: runtime ? "same-origin" : iframe ? "cross-origin" : "none",
+        mode: controller.getMode(),
+        resize,
+        metrics: controller.getResizeMetrics(),
+        rules,
+        health: controller.getHealthReport(),
+      };
+    },
+  };
+
+  return controller;
 }
 
+window.DemandVox = window.DemandVox || {};
+window.DemandVox.delphi = createDelphiController();
+
 /********************************************************************
  * Start execution once the DOM is ready
+ * ------------------------------------------------------------------
+ * Same file, two roles:
+ * - host page (default): find the iframe and drive it
+ * - frame agent (data-dv-frame-agent): answer the bridge from inside
  ********************************************************************/
+const DELPHI_CURRENT_SCRIPT = document.currentScript;
+
 document.addEventListener("DOMContentLoaded", () => {
   dvLog("[delphi-styling] DOMContentLoaded");
 
-  waitForIframe("#delphi-frame", (iframe) => {
-    // CSS + layout overrides (safe to re-run)
-    injectOverridesIntoIframe(iframe);  
- 
-    // Re-run only CSS overrides on iframe reload
-    iframe.addEventListener("load", () => {
-      injectOverridesIntoIframe(iframe);
-    });
-  });
+  if (DELPHI_CURRENT_SCRIPT?.hasAttribute("data-dv-frame-agent")) {
+    startDelphiFrameAgent(DELPHI_CURRENT_SCRIPT);
+    return;
+  }
+
+  if (DELPHI_CURRENT_SCRIPT?.hasAttribute("data-dv-manual-init")) return;
 
+  window.DemandVox.delphi.init(DELPHI_IFRAME_SELECTOR);
 });
@@ -0,0 +1,494 @@
+/********************************************************************
+ * Community feedback board (community.html)
+ * ------------------------------------------------------------------
+ * Visitors submit ideas, upvote other ideas (one vote per browser,
+ * click again to take it back), filter by status and sort by votes
+ * or recency.
+ *
+ * Storage goes through an adapter, picked with config.feedbackAdapter:
+ * - "local": localStorage, this browser only (default, works on any
+ *            static host; seeded with a few ideas)
+ * - "rest":  config.feedbackApiUrl, e.g. the local mock server:
+ *              node dev/mock-server.js
+ *              <script src="assets/js/config.js"
+ *                      data-feedback-adapter="rest"
+ *                      data-feedback-api-url="http://localhost:8787/api"></script>
+ *
+ * Any object with the same three methods can be plugged in with
+ * DemandVox.feedback.use(adapter); each returns a Promise:
+ *   list()              → [idea]
+ *   create({ title, details }) → idea
+ *   vote(id, delta)     → idea   (delta: +1 vote, -1 take it back)
+ * idea = { id, title, details, status, votes, createdAt }
+ * The built-in ones are exposed to build variants from:
+ *   DemandVox.feedback.use(DemandVox.feedbackAdapters.createRest({ baseUrl }))
+ *
+ * Spam protection: a honeypot field (bots fill it, the submission is
+ * dropped while looking accepted) and a per-browser rate limit
+ * (config.feedbackRateLimit per config.feedbackRateWindowMs). The
+ * mock server applies both again server-side.
+ *
+ * Requires config.js + logger.js + layout.js (loaded before this file).
+ ********************************************************************/
+const DV_FEEDBACK_BOARD_ID = "feedback-board";
+
+const DV_FEEDBACK_IDEAS_KEY = "dv:feedback:ideas";
+const DV_FEEDBACK_VOTES_KEY = "dv:feedback:votes";
+const DV_FEEDBACK_VOTER_KEY = "dv:feedback:voter";
+const DV_FEEDBACK_SUBMISSIONS_KEY = "dv:feedback:submissions";
+
+const DV_FEEDBACK_TITLE_MAX_LENGTH = 120;
+const DV_FEEDBACK_DETAILS_MAX_LENGTH = 1000;
+
+const DV_FEEDBACK_STATUSES = {
+  open: "Open",
+  planned: "Planned",
+  shipped: "Shipped",
+};
+
+const DV_FEEDBACK_SORTS = {
+  votes: { label: "Most votes", compare: (a, b) => b.votes - a.votes || b.createdAt.localeCompare(a.createdAt) },
+  recent: { label: "Newest", compare: (a, b) => b.createdAt.localeCompare(a.createdAt) },
+};
+
+// Starting point for the local adapter (nothing stored yet)
+const DV_FEEDBACK_SEED_IDEAS = [
+  {
+    id: "seed-compare",
+    title: "Compare two vendors side by side",
+    details: "Pick two vendors from the directory and see budget, regions and services next to each other.",
+    status: "planned",
+    votes: 12,
+    createdAt: "2025-01-20T10:00:00.000Z",
+  },
+  {
+    id: "seed-shortlist",
+    title: "Save a vendor shortlist",
+    details: "Keep the vendors the assistant recommends in a list I can share with my team.",
+    status: "open",
+    votes: 8,
+    createdAt: "2025-02-03T15:30:00.000Z",
+  },
+  {
+    id: "seed-transcript",
+    title: "Export my conversation with the assistant",
+    details: "",
+    status: "shipped",
+    votes: 5,
+    createdAt: "2024-12-12T09:15:00.000Z",
+  },
+];
+
+class DemandVoxFeedbackError extends Error {
+  /**
+   * code: "invalid" | "rate-limited" | "not-found" | "unavailable"
+   */
+  constructor(code, message) {
+    super(`[feedback] ${message}`);
+    this.name = "DemandVoxFeedbackError";
+    this.code = code;
+  }
+}
+
+function readFeedbackStore(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "null") ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeFeedbackStore(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    dvWarn("[feedback] Could not persist to localStorage", e);
+  }
+}
+
+/**
+ * Random id kept per browser: what "one vote per browser" means for
+ * the REST adapter (sent as X-DV-Voter).
+ */
+function getFeedbackVoterId() {
+  let id = readFeedbackStore(DV_FEEDBACK_VOTER_KEY, null);
+  if (!id) {
+    id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    writeFeedbackStore(DV_FEEDBACK_VOTER_KEY, id);
+  }
+  return id;
+}
+
+/********************************************************************
+ * Adapters
+ ********************************************************************/
+function createLocalFeedbackAdapter({ storageKey = DV_FEEDBACK_IDEAS_KEY, seed = DV_FEEDBACK_SEED_IDEAS } = {}) {
+  const read = () => readFeedbackStore(storageKey, null) || seed.map((idea) => ({ ...idea }));
+
+  return {
+    name: "local",
+
+    list: () => Promise.resolve(read()),
+
+    create({ title, details }) {
+      const idea = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        title,
+        details,
+        status: "open",
+        votes: 0,
+        createdAt: new Date().toISOString(),
+      };
+
+      writeFeedbackStore(storageKey, [...read(), idea]);
+      return Promise.resolve(idea);
+    },
+
+    vote(id, delta) {
+      const ideas = read();
+      const idea = ideas.find((i) => i.id === id);
+      if (!idea) return Promise.reject(new DemandVoxFeedbackError("not-found", `Unknown idea "${id}"`));
+
+      idea.votes = Math.max(0, idea.votes + Math.sign(delta));
+      writeFeedbackStore(storageKey, ideas);
+      return Promise.resolve(idea);
+    },
+  };
+}
+
+/**
+ *   GET    {baseUrl}/ideas              → { ideas: [idea] }
+ *   POST   {baseUrl}/ideas              { title, details, website } → { idea }
+ *   POST   {baseUrl}/ideas/:id/votes    → { idea }
+ *   DELETE {baseUrl}/ideas/:id/votes    → { idea }
+ * 400 → "invalid", 404 → "not-found", 429 → "rate-limited".
+ */
+function createRestFeedbackAdapter({ baseUrl }) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  function request(method, path, body) {
+    return fetch(root + path, {
+      method,
+      headers: { "Content-Type": "application/json", "X-DV-Voter": getFeedbackVoterId() },
+      body: body ? JSON.stringify(body) : undefined,
+    })
+      .catch((e) => {
+        throw new DemandVoxFeedbackError("unavailable", `${method} ${path} failed: ${e.message}`);
+      })
+      .then((res) => {
+        const codes = { 400: "invalid", 404: "not-found", 429: "rate-limited" };
+        if (!res.ok) throw new DemandVoxFeedbackError(codes[res.status] || "unavailable", `${method} ${path}: HTTP ${res.status}`);
+        return res.json();
+      });
+  }
+
+  return {
+    name: "rest",
+
+    list: () => request("GET", "/ideas").then((data) => data.ideas || []),
+    create: ({ title, details, website }) => request("POST", "/ideas", { title, details, website }).then((data) => data.idea),
+    vote: (id, delta) => request(delta > 0 ? "POST" : "DELETE", `/ideas/${encodeURIComponent(id)}/votes`).then((data) => data.idea),
+  };
+}
+
+const DV_FEEDBACK_ADAPTERS = {
+  local: () => createLocalFeedbackAdapter(),
+  rest: (config) => createRestFeedbackAdapter({ baseUrl: config.feedbackApiUrl }),
+};
+
+function createConfiguredFeedbackAdapter(config = window.DemandVox.config) {
+  if (config.feedbackAdapter === "rest" && !config.feedbackApiUrl) {
+    dvWarn("[feedback] feedbackAdapter is \"rest\" but feedbackApiUrl is empty, using localStorage");
+    return DV_FEEDBACK_ADAPTERS.local(config);
+  }
+  return DV_FEEDBACK_ADAPTERS[config.feedbackAdapter](config);
+}
+
+/********************************************************************
+ * Spam protection
+ ********************************************************************/
+/**
+ * Returns the ms until another submission is allowed (0 = allowed).
+ */
+function getFeedbackRateLimitDelay(config = window.DemandVox.config, now = Date.now()) {
+  const recent = readFeedbackStore(DV_FEEDBACK_SUBMISSIONS_KEY, []).filter((time) => now - time < config.feedbackRateWindowMs);
+  if (recent.length < config.feedbackRateLimit) return 0;
+
+  return config.feedbackRateWindowMs - (now - Math.min(...recent));
+}
+
+function recordFeedbackSubmission(config = window.DemandVox.config, now = Date.now()) {
+  const recent = readFeedbackStore(DV_FEEDBACK_SUBMISSIONS_KEY, []).filter((time) => now - time < config.feedbackRateWindowMs);
+  writeFeedbackStore(DV_FEEDBACK_SUBMISSIONS_KEY, [...recent, now]);
+}
+
+/********************************************************************
+ * Component
+ ********************************************************************/
+function createFeedbackBoard(root) {
+  const els = {
+    form: root.querySelector(".dv-feedback-form"),
+    formStatus: root.querySelector(".dv-feedback-form-status"),
+    filters: root.querySelector(".dv-feedback-filters"),
+    sort: root.querySelector(".dv-feedback-sort select"),
+    list: root.querySelector(".dv-feedback-list"),
+    count: root.querySelector(".dv-feedback-count"),
+  };
+
+  let adapter = createConfiguredFeedbackAdapter();
+  let ideas = [];
+  let statusFilter = "all";
+  let sort = "votes";
+  let loadError = false;
+  let submitting = false;
+
+  // Ids this browser voted for
+  const voted = new Set(readFeedbackStore(DV_FEEDBACK_VOTES_KEY, []));
+
+  // Ids with a vote request in flight (their button stays disabled across renders)
+  const pending = new Set();
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  /******************************************************************
+   * List
+   ******************************************************************/
+  function renderFilters() {
+    els.filters.replaceChildren(
+      ...[["all", "All"], ...Object.entries(DV_FEEDBACK_STATUSES)].map(([value, label]) => {
+        const count = value === "all" ? ideas.length : ideas.filter((idea) => idea.status === value).length;
+
+        const button = el("button", "dv-feedback-filter", `${label} (${count})`);
+        button.type = "button";
+        button.setAttribute("aria-pressed", String(statusFilter === value));
+        button.addEventListener("click", () => {
+          statusFilter = value;
+          render();
+        });
+        return button;
+      })
+    );
+  }
+
+  function renderIdea(idea) {
+    const item = el("li", "dv-feedback-idea");
+    const hasVoted = voted.has(idea.id);
+
+    const vote = el("button", "dv-feedback-vote");
+    vote.type = "button";
+    vote.setAttribute("aria-pressed", String(hasVoted));
+    vote.setAttribute("aria-label", `${hasVoted ? "Remove your vote for" : "Upvote"} "${idea.title}" (${idea.votes} votes)`);
+    vote.disabled = pending.has(idea.id);
+    vote.append(el("span", "dv-feedback-vote-arrow", "▲"), el("span", "dv-feedback-vote-count", String(idea.votes)));
+    vote.addEventListener("click", () => toggleVote(idea));
+
+    const body = el("div", "dv-feedback-idea-body");
+    body.appendChild(el("h3", "dv-feedback-idea-title", idea.title));
+    if (idea.details) body.appendChild(el("p", "dv-feedback-idea-details", idea.details));
+
+    const meta = el("p", "dv-feedback-idea-meta");
+    meta.append(
+      el("span", `dv-feedback-status is-${idea.status}`, DV_FEEDBACK_STATUSES[idea.status] || idea.status),
+      el("time", null, new Date(idea.createdAt).toLocaleDateString([], { dateStyle: "medium" }))
+    );
+    meta.lastChild.dateTime = idea.createdAt;
+    body.appendChild(meta);
+
+    item.append(vote, body);
+    return item;
+  }
+
+  function render() {
+    renderFilters();
+
+    const visible = ideas
+      .filter((idea) => statusFilter === "all" || idea.status === statusFilter)
+      .sort(DV_FEEDBACK_SORTS[sort].compare);
+
+    els.list.replaceChildren(...visible.map(renderIdea));
+
+    if (loadError) els.count.textContent = "Ideas couldn't load. Please try again later.";
+    else if (!visible.length) els.count.textContent = statusFilter === "all" ? "No ideas yet: be the first!" : "No ideas with this status yet.";
+    else els.count.textContent = `${visible.length} idea${visible.length > 1 ? "s" : ""}`;
+  }
+
+  function load() {
+    root.setAttribute("aria-busy", "true");
+
+    return adapter
+      .list()
+      .then((list) => {
+        ideas = list.filter((idea) => idea?.id && idea?.title);
+        loadError = false;
+      })
+      .catch((e) => {
+        loadError = true;
+        dvError("[feedback] Could not load ideas", e);
+      })
+      .then(() => {
+        root.removeAttribute("aria-busy");
+        render();
+      });
+  }
+
+  /******************************************************************
+   * Votes
+   ******************************************************************/
+  function replaceIdea(updated) {
+    ideas = ideas.map((idea) => (idea.id === updated.id ? updated : idea));
+  }
+
+  function toggleVote(idea) {
+    if (pending.has(idea.id)) return;
+    pending.add(idea.id);
+
+    const delta = voted.has(idea.id) ? -1 : 1;
+
+    // Optimistic: reverted if the adapter fails
+    if (delta > 0) voted.add(idea.id);
+    else voted.delete(idea.id);
+    writeFeedbackStore(DV_FEEDBACK_VOTES_KEY, [...voted]);
+    replaceIdea({ ...idea, votes: Math.max(0, idea.votes + delta) });
+    render();
+
+    adapter
+      .vote(idea.id, delta)
+      .then((updated) => {
+        pending.delete(idea.id);
+        replaceIdea(updated);
+        render();
+      })
+      .catch((e) => {
+        dvWarn("[feedback] Vote failed", e);
+        pending.delete(idea.id);
+        if (delta > 0) voted.delete(idea.id);
+        else voted.add(idea.id);
+        writeFeedbackStore(DV_FEEDBACK_VOTES_KEY, [...voted]);
+
+        // Undo our delta on the idea as it is now (a reload may have replaced it)
+        const current = ideas.find((item) => item.id === idea.id);
+        if (current) replaceIdea({ ...current, votes: Math.max(0, current.votes - delta) });
+        render();
+      });
+  }
+
+  /******************************************************************
+   * Submissions
+   ******************************************************************/
+  function setFormStatus(text, isError = false) {
+    els.formStatus.textContent = text;
+    els.formStatus.classList.toggle("is-error", isError);
+  }
+
+  function submit() {
+    if (submitting) return;
+
+    const data = Object.fromEntries(new FormData(els.form));
+    const title = String(data.title || "").trim().slice(0, DV_FEEDBACK_TITLE_MAX_LENGTH);
+    const details = String(data.details || "").trim().slice(0, DV_FEEDBACK_DETAILS_MAX_LENGTH);
+
+    // Honeypot: only bots fill a field nobody can see. Look accepted.
+    if (data.website) {
+      dvWarn("[feedback] Honeypot filled, submission dropped");
+      els.form.reset();
+      setFormStatus("Thanks! Your idea was added.");
+      return;
+    }
+
+    if (!title) {
+      setFormStatus("Please give your idea a title.", true);
+      return;
+    }
+
+    const wait = getFeedbackRateLimitDelay();
+    if (wait) {
+      setFormStatus(`You've shared several ideas already. Please try again in ${Math.ceil(wait / 60000)} min.`, true);
+      return;
+    }
+
+    // Counted when attempted, so a burst can't slip through while in flight
+    recordFeedbackSubmission();
+
+    const button = els.form.querySelector("button[type='submit']");
+    button.disabled = true;
+    submitting = true;
+    setFormStatus("Sending…");
+
+    adapter
+      .create({ title, details, website: data.website })
+      .then((idea) => {
+        ideas = [...ideas, idea];
+
+        // Show it, whatever the current filter
+        statusFilter = "all";
+        sort = "recent";
+        els.sort.value = sort;
+
+        els.form.reset();
+        setFormStatus("Thanks! Your idea was added.");
+        render();
+      })
+      .catch((e) => {
+        dvWarn("[feedback] Submission failed", e);
+        setFormStatus(
+          e.code === "rate-limited" ? "Too many ideas in a short time. Please try again later." : "Sorry, that didn't go through. Please try again.",
+          true
+        );
+      })
+      .then(() => {
+        submitting = false;
+        button.disabled = false;
+      });
+  }
+
+  els.form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    submit();
+  });
+
+  els.sort.replaceChildren(
+    ...Object.entries(DV_FEEDBACK_SORTS).map(([value, { label }]) => {
+      const option = el("option", null, label);
+      option.value = value;
+      return option;
+    })
+  );
+  els.sort.value = sort;
+  els.sort.addEventListener("change", () => {
+    sort = els.sort.value;
+    render();
+  });
+
+  load();
+
+  return {
+    use(next) {
+      if (!["list", "create", "vote"].every((method) => typeof next?.[method] === "function")) {
+        dvWarn("[feedback] Adapter must implement list(), create() and vote()", next);
+        return;
+      }
+      adapter = next;
+      return load();
+    },
+    getAdapter: () => adapter,
+    getIdeas: () => ideas.map((idea) => ({ ...idea })),
+    refresh: load,
+  };
+}
+
+window.DemandVox.feedbackAdapters = {
+  createLocal: createLocalFeedbackAdapter,
+  createRest: createRestFeedbackAdapter,
+};
+
+onDemandVoxPageReady(() => {
+  const root = document.getElementById(DV_FEEDBACK_BOARD_ID);
+  if (!root) return;
+
+  window.DemandVox.feedback = createFeedbackBoard(root);
+});
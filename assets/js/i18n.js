@@ -0,0 +1,286 @@
+/********************************************************************
+ * Host copy in the visitor's language
+ * ------------------------------------------------------------------
+ * Dictionaries per locale (DV_I18N_LOCALES), one active locale:
+ *
+ *   1. ?lang=fr in the URL (and remembered)
+ *   2. the visitor's earlier choice (localStorage)
+ *   3. navigator.languages, first supported one ("fr-CA" → fr)
+ *   4. config.defaultLocale
+ *
+ *   DemandVox.i18n.t("banner.heading")
+ *   DemandVox.i18n.t("delphi.introTitle", { name: "Michael" })  // {name}
+ *   DemandVox.i18n.t("delphi.newMessages", { count: 3 })        // plural forms
+ *   DemandVox.i18n.setLocale("fr")
+ *   DemandVox.i18n.getLocale() / .locales
+ *
+ * Plural messages are objects keyed by Intl.PluralRules categories,
+ * picked with params.count:
+ *   "delphi.newMessages": { one: "{count} new message", other: "{count} new messages" }
+ * (French "one" covers 0 and 1: the categories are per locale.)
+ * A key missing in the active locale falls back to English, then to
+ * the key itself.
+ *
+ * setLocale() updates <html lang> and dispatches "dv:locale-change"
+ * { locale, previous } on document: the layout, the app shell, the
+ * Delphi rules (forceText "textKey", see delphi.js) and the controls
+ * around the embed (prompt chips, transcript tools, fallback panel)
+ * re-read their text.
+ *
+ * <dv-locale-switcher> renders the language picker (in the banner).
+ *
+ * Load it after config.js + logger.js, before layout.js.
+ ********************************************************************/
+const DV_I18N_STORAGE_KEY = "dv:locale";
+const DV_I18N_URL_PARAM = "lang";
+const DV_I18N_CHANGE_EVENT = "dv:locale-change";
+const DV_I18N_FALLBACK_LOCALE = "en";
+
+const DV_I18N_LOCALES = {
+  en: {
+    name: "English",
+    messages: {
+      "nav.findVendors": "Find vendors",
+      "nav.community": "Community",
+      "nav.tools": "Tools",
+      "nav.why": "Why us",
+      "nav.help": "Get help",
+      "nav.home": "Home",
+      "nav.open": "Open navigation",
+      "nav.collapse": "Collapse navigation",
+      "nav.label": "Primary navigation",
+
+      "banner.heading": "Find the right demand gen vendor",
+      "banner.tagline": "used by teams like",
+      "banner.note": "100% free for buyers",
+      "home.banner.tagline": "trusted by high-impact demand-gen teams at",
+      "home.banner.note": "100% free for Buyers",
+
+      "delphi.introTitle": "Hi, I'm {name}",
+      "delphi.jumpToLatest": "Jump to latest",
+      "delphi.newMessages": { one: "{count} new message", other: "{count} new messages" },
+
+      "shell.showChat": "Chat with the assistant",
+      "shell.hideChat": "Hide chat",
+
+      "prompts.label": "Try asking:",
+
+      "transcript.save": "Save this conversation:",
+      "transcript.print": "Print / PDF",
+      "transcript.clear": "Clear my data",
+      "transcript.clearConfirm": "Delete the saved conversations stored in this browser?",
+
+      "embed.fallbackTitle": "Our assistant is taking a break",
+      "embed.fallbackMessage": "The chat couldn't load (an ad blocker or a network issue can cause this). You can still reach us:",
+      "embed.bookCall": "Book a call",
+      "embed.emailUs": "Email us",
+      "embed.getHelp": "Get help",
+      "embed.retry": "Try again",
+      "embed.formEmail": "Your email",
+      "embed.formQuestion": "Your question",
+      "embed.formSend": "Send",
+      "embed.sending": "Sending…",
+      "embed.sent": "Thanks! We'll get back to you by email.",
+      "embed.sendFailed": "Sorry, that didn't go through. Please try again later.",
+      "embed.sendFailedEmail": "Sorry, that didn't go through. Please email {email}.",
+
+      "i18n.switcher": "Language",
+    },
+  },
+  fr: {
+    name: "Français",
+    messages: {
+      "nav.findVendors": "Trouver un prestataire",
+      "nav.community": "Communauté",
+      "nav.tools": "Outils",
+      "nav.why": "Pourquoi nous",
+      "nav.help": "Aide",
+      "nav.home": "Accueil",
+      "nav.open": "Ouvrir la navigation",
+      "nav.collapse": "Replier la navigation",
+      "nav.label": "Navigation principale",
+
+      "banner.heading": "Trouvez le bon prestataire demand gen",
+      "banner.tagline": "utilisé par des équipes comme",
+      "banner.note": "100 % gratuit pour les acheteurs",
+      "home.banner.tagline": "la référence d'équipes demand gen exigeantes comme",
+      "home.banner.note": "100 % gratuit pour les acheteurs",
+
+      "delphi.introTitle": "Bonjour, je suis {name}",
+      "delphi.jumpToLatest": "Aller au dernier message",
+      "delphi.newMessages": { one: "{count} nouveau message", other: "{count} nouveaux messages" },
+
+      "shell.showChat": "Discuter avec l'assistant",
+      "shell.hideChat": "Masquer le chat",
+
+      "prompts.label": "Essayez :",
+
+      "transcript.save": "Enregistrer cette conversation :",
+      "transcript.print": "Imprimer / PDF",
+      "transcript.clear": "Effacer mes données",
+      "transcript.clearConfirm": "Supprimer les conversations enregistrées dans ce navigateur ?",
+
+      "embed.fallbackTitle": "Notre assistant fait une pause",
+      "embed.fallbackMessage": "Le chat n'a pas pu se charger (un bloqueur de publicité ou un problème réseau peut en être la cause). Vous pouvez toujours nous joindre :",
+      "embed.bookCall": "Prendre rendez-vous",
+      "embed.emailUs": "Nous écrire",
+      "embed.getHelp": "Aide",
+      "embed.retry": "Réessayer",
+      "embed.formEmail": "Votre e-mail",
+      "embed.formQuestion": "Votre question",
+      "embed.formSend": "Envoyer",
+      "embed.sending": "Envoi…",
+      "embed.sent": "Merci ! Nous vous répondrons par e-mail.",
+      "embed.sendFailed": "Désolé, l'envoi a échoué. Veuillez réessayer plus tard.",
+      "embed.sendFailedEmail": "Désolé, l'envoi a échoué. Écrivez-nous à {email}.",
+
+      "i18n.switcher": "Langue",
+    },
+  },
+};
+
+function normalizeI18nLocale(value) {
+  const primary = String(value || "").toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(DV_I18N_LOCALES, primary) ? primary : null;
+}
+
+function readStoredI18nLocale() {
+  try {
+    return normalizeI18nLocale(localStorage.getItem(DV_I18N_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredI18nLocale(locale) {
+  try {
+    localStorage.setItem(DV_I18N_STORAGE_KEY, locale);
+  } catch (e) {
+    dvWarn("[i18n] Could not persist the locale", e);
+  }
+}
+
+function detectI18nLocale() {
+  const fromUrl = normalizeI18nLocale(new URLSearchParams(window.location.search).get(DV_I18N_URL_PARAM));
+  if (fromUrl) {
+    writeStoredI18nLocale(fromUrl);
+    return fromUrl;
+  }
+
+  const stored = readStoredI18nLocale();
+  if (stored) return stored;
+
+  const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const language of languages) {
+    const locale = normalizeI18nLocale(language);
+    if (locale) return locale;
+  }
+
+  return normalizeI18nLocale(window.DemandVox.config.defaultLocale) || DV_I18N_FALLBACK_LOCALE;
+}
+
+// "{name}" → params.name; unknown placeholders are left as they are
+function interpolateI18nMessage(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+function createI18n() {
+  let locale = detectI18nLocale();
+  let pluralRules = new Intl.PluralRules(locale);
+
+  function lookup(key) {
+    return DV_I18N_LOCALES[locale].messages[key] ?? DV_I18N_LOCALES[DV_I18N_FALLBACK_LOCALE].messages[key];
+  }
+
+  function t(key, params = {}) {
+    let message = lookup(key);
+
+    if (message === undefined) {
+      dvWarn(`[i18n] Missing message "${key}" (${locale})`);
+      return key;
+    }
+
+    if (typeof message === "object") {
+      const count = Number(params.count);
+      message = message[pluralRules.select(Number.isFinite(count) ? count : 0)] ?? message.other;
+    }
+
+    return interpolateI18nMessage(message, params);
+  }
+
+  function setLocale(next) {
+    const normalized = normalizeI18nLocale(next);
+    if (!normalized) {
+      dvWarn("[i18n] Unsupported locale:", next);
+      return false;
+    }
+
+    writeStoredI18nLocale(normalized);
+    if (normalized === locale) return true;
+
+    const previous = locale;
+    locale = normalized;
+    pluralRules = new Intl.PluralRules(locale);
+    document.documentElement.lang = locale;
+
+    // A ?lang= in the address bar would switch back on reload
+    const url = new URL(window.location.href);
+    if (url.searchParams.has(DV_I18N_URL_PARAM)) {
+      url.searchParams.set(DV_I18N_URL_PARAM, locale);
+      history.replaceState(history.state, "", url.toString());
+    }
+
+    dvLog(`[i18n] locale: ${previous} → ${locale}`);
+    document.dispatchEvent(new CustomEvent(DV_I18N_CHANGE_EVENT, { detail: { locale, previous } }));
+    return true;
+  }
+
+  document.documentElement.lang = locale;
+  dvLog("[i18n] locale:", locale);
+
+  return {
+    locales: Object.fromEntries(Object.entries(DV_I18N_LOCALES).map(([code, { name }]) => [code, name])),
+    getLocale: () => locale,
+    has: (key) => lookup(key) !== undefined,
+    t,
+    setLocale,
+  };
+}
+
+/********************************************************************
+ * <dv-locale-switcher>
+ ********************************************************************/
+class DemandVoxLocaleSwitcherElement extends HTMLElement {
+  connectedCallback() {
+    if (!this.querySelector("select")) {
+      const select = document.createElement("select");
+      select.className = "dv-locale-switcher";
+      for (const [code, name] of Object.entries(window.DemandVox.i18n.locales)) {
+        select.add(new Option(name, code));
+      }
+      select.addEventListener("change", () => window.DemandVox.i18n.setLocale(select.value));
+      this.appendChild(select);
+    }
+
+    this.sync();
+    this.onLocaleChange = () => this.sync();
+    document.addEventListener(DV_I18N_CHANGE_EVENT, this.onLocaleChange);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener(DV_I18N_CHANGE_EVENT, this.onLocaleChange);
+  }
+
+  sync() {
+    const select = this.querySelector("select");
+    select.value = window.DemandVox.i18n.getLocale();
+    select.setAttribute("aria-label", window.DemandVox.i18n.t("i18n.switcher"));
+  }
+}
+
+/********************************************************************
+ * Publish
+ ********************************************************************/
+window.DemandVox.i18n = createI18n();
+
+if (!customElements.get("dv-locale-switcher")) customElements.define("dv-locale-switcher", DemandVoxLocaleSwitcherElement);
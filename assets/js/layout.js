@@ -0,0 +1,245 @@
+/********************************************************************
+ * Shared page layout: <dv-sidebar> and <dv-banner>
+ * ------------------------------------------------------------------
+ * The sidebar and the top banner are rendered from DV_LAYOUT_NAV /
+ * DV_LAYOUT_BANNER instead of being copied into every page. Adding a
+ * page = one entry in DV_LAYOUT_NAV.
+ *
+ *   <div class="layout">
+ *     <dv-sidebar></dv-sidebar>
+ *     <main class="main">
+ *       <div class="main-inner">
+ *         <dv-banner heading="Demand gen calculators"></dv-banner>
+ *
+ * - active route: the nav entry matching location.pathname gets
+ *   .is-active + aria-current="page" ("/" and "/index.html" are the
+ *   same page); call DemandVox.layout.updateActiveRoute() after a
+ *   history.pushState navigation
+ * - <dv-banner> attributes override DV_LAYOUT_BANNER per page:
+ *   heading, tagline, note (literal text) or heading-key, tagline-key,
+ *   note-key (i18n.js message keys, translated), badges ("A B C")
+ * - labels and banner text come from i18n.js and follow
+ *   DemandVox.i18n.setLocale(); the banner hosts the language picker
+ * - both elements are display: contents (main.css), so the rendered
+ *   .sidebar / .top-banner keep their usual place in the layout
+ *
+ * Page modules (vendor directory, tools...) mount through
+ * onDemandVoxPageReady(), which also covers app shell navigations.
+ *
+ * Load it in the <head>, after config.js + logger.js + i18n.js: the elements
+ * are defined before the parser reaches them, so the markup exists
+ * by DOMContentLoaded (sidebar.js relies on it).
+ ********************************************************************/
+const DV_LAYOUT_NAV = [
+  {
+    href: "./find-vendors.html",
+    labelKey: "nav.findVendors",
+    icon: "M11 4a7 7 0 0 1 5.42 11.37l3.6 3.6a1 1 0 0 1-1.42 1.42l-3.6-3.6A7 7 0 1 1 11 4zm0 2a5 5 0 1 0 0 10a5 5 0 0 0 0-10z",
+  },
+  {
+    href: "./community.html",
+    labelKey: "nav.community",
+    icon: "M7 10a3 3 0 1 1 0-6a3 3 0 0 1 0 6zm10 0a3 3 0 1 1 0-6a3 3 0 0 1 0 6zM4 20a3 3 0 0 1 3-3h2a3 3 0 0 1 3 3v1H4zm10 0a3 3 0 0 1 3-3h3a3 3 0 0 1 3 3v1h-9z",
+  },
+  {
+    href: "./tools.html",
+    labelKey: "nav.tools",
+    icon: "M4 4h7v7H4zm9 0h7v7h-7zM4 13h7v7H4zm9 7v-7h7v7z",
+  },
+  {
+    href: "./why.html",
+    labelKey: "nav.why",
+    icon: "M12 2a10 10 0 1 0 10 10A10.011 10.011 0 0 0 12 2zm0 16a1.25 1.25 0 1 1 1.25-1.25A1.25 1.25 0 0 1 12 18zm1.8-6.9l-.9.64A1.38 1.38 0 0 0 12.5 13v.25a.5.5 0 0 1-1 0V13a2.37 2.37 0 0 1 1-2l.94-.68A1.38 1.38 0 0 0 13.5 8a1.5 1.5 0 1 0-3 0a.5.5 0 0 1-1 0a2.5 2.5 0 1 1 4.3 1.6z",
+  },
+  {
+    href: "./help.html",
+    labelKey: "nav.help",
+    // Pinned to the bottom of the sidebar
+    section: "bottom",
+    icon: "M4 4h16a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2h-5.5L9 21.5V16H4a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2zm4.5 6a1 1 0 1 0-1-1a1 1 0 0 0 1 1zm3.5 0a1 1 0 1 0-1-1a1 1 0 0 0 1 1zm3.5 0a1 1 0 1 0-1-1a1 1 0 0 0 1 1z",
+  },
+];
+
+// Text fields are i18n.js message keys
+const DV_LAYOUT_BANNER = {
+  heading: "banner.heading",
+  tagline: "banner.tagline",
+  note: "banner.note",
+  badges: ["A", "B", "C", "D", "E"],
+};
+
+const DV_LAYOUT_BANNER_TEXT_FIELDS = ["heading", "tagline", "note"];
+
+function escapeLayoutHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// "/", "/index.html" and "/tools" / "/tools.html" compare equal
+function normalizeLayoutPath(pathname) {
+  return pathname.replace(/\/index\.html$/, "/").replace(/\.html$/, "");
+}
+
+function isLayoutRouteActive(item, pathname = window.location.pathname) {
+  const target = new URL(item.href, window.location.href).pathname;
+  return normalizeLayoutPath(target) === normalizeLayoutPath(pathname);
+}
+
+function renderLayoutNavLink(item) {
+  return `
+    <a href="${escapeLayoutHtml(item.href)}" class="nav-icon-button">
+      <span class="nav-icon">
+        <svg viewBox="0 0 24 24" aria-hidden="true"><path fill="currentColor" d="${item.icon}" /></svg>
+      </span>
+      <span class="nav-label">${escapeLayoutHtml(window.DemandVox.i18n.t(item.labelKey))}</span>
+    </a>`;
+}
+
+/********************************************************************
+ * <dv-sidebar>
+ ********************************************************************/
+class DemandVoxSidebarElement extends HTMLElement {
+  connectedCallback() {
+    // Moved around the DOM (app shell): keep the rendered markup
+    if (!this.querySelector(".sidebar")) this.render();
+    this.updateActiveRoute();
+
+    // Text only: sidebar.js holds on to the rendered elements
+    this.onLocaleChange = () => this.updateLabels();
+    document.addEventListener(DV_I18N_CHANGE_EVENT, this.onLocaleChange);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener(DV_I18N_CHANGE_EVENT, this.onLocaleChange);
+  }
+
+  render() {
+    const { t } = window.DemandVox.i18n;
+    const menu = DV_LAYOUT_NAV.filter((item) => item.section !== "bottom");
+    const bottom = DV_LAYOUT_NAV.filter((item) => item.section === "bottom");
+
+    this.innerHTML = `
+      <button class="mobile-menu-toggle" aria-label="${escapeLayoutHtml(t("nav.open"))}">
+        <span class="mobile-menu-lines"></span>
+      </button>
+      <aside class="sidebar" aria-label="${escapeLayoutHtml(t("nav.label"))}">
+        <div class="sidebar-header">
+          <a href="./" class="logo-mark" aria-label="${escapeLayoutHtml(t("nav.home"))}"></a>
+          <button class="sidebar-close" aria-label="${escapeLayoutHtml(t("nav.collapse"))}">←</button>
+        </div>
+        <nav class="sidebar-menu">${menu.map(renderLayoutNavLink).join("")}
+        </nav>
+        <div class="sidebar-bottom">${bottom.map(renderLayoutNavLink).join("")}
+        </div>
+      </aside>`;
+  }
+
+  updateLabels() {
+    const { t } = window.DemandVox.i18n;
+
+    this.querySelector(".mobile-menu-toggle")?.setAttribute("aria-label", t("nav.open"));
+    this.querySelector(".sidebar")?.setAttribute("aria-label", t("nav.label"));
+    this.querySelector(".logo-mark")?.setAttribute("aria-label", t("nav.home"));
+    this.querySelector(".sidebar-close")?.setAttribute("aria-label", t("nav.collapse"));
+
+    for (const link of this.querySelectorAll(".nav-icon-button")) {
+      const item = DV_LAYOUT_NAV.find((entry) => entry.href === link.getAttribute("href"));
+      const label = link.querySelector(".nav-label");
+      if (item && label) label.textContent = t(item.labelKey);
+    }
+  }
+
+  updateActiveRoute(pathname = window.location.pathname) {
+    for (const link of this.querySelectorAll(".nav-icon-button")) {
+      const item = DV_LAYOUT_NAV.find((entry) => entry.href === link.getAttribute("href"));
+      const active = Boolean(item) && isLayoutRouteActive(item, pathname);
+
+      link.classList.toggle("is-active", active);
+      if (active) link.setAttribute("aria-current", "page");
+      else link.removeAttribute("aria-current");
+    }
+  }
+}
+
+/********************************************************************
+ * <dv-banner heading tagline note badges> (+ heading-key ...)
+ ********************************************************************/
+class DemandVoxBannerElement extends HTMLElement {
+  static get observedAttributes() {
+    return [...DV_LAYOUT_BANNER_TEXT_FIELDS.flatMap((field) => [field, `${field}-key`]), "badges"];
+  }
+
+  connectedCallback() {
+    this.render();
+
+    this.onLocaleChange = () => this.render();
+    document.addEventListener(DV_I18N_CHANGE_EVENT, this.onLocaleChange);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener(DV_I18N_CHANGE_EVENT, this.onLocaleChange);
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.render();
+  }
+
+  // Literal attribute, else its -key attribute, else the default key
+  getText(field) {
+    if (this.hasAttribute(field)) return this.getAttribute(field);
+    return window.DemandVox.i18n.t(this.getAttribute(`${field}-key`) || DV_LAYOUT_BANNER[field]);
+  }
+
+  render() {
+    const badges = this.hasAttribute("badges") ? this.getAttribute("badges").split(/\s+/).filter(Boolean) : DV_LAYOUT_BANNER.badges;
+
+    // Rendered once: re-rendering would take focus away from the picker
+    if (!this.querySelector(".top-banner")) {
+      this.innerHTML = `
+        <header class="top-banner">
+          <div class="banner-text-group"></div>
+          <div class="banner-vendor-row banner-free">
+            <span class="banner-note"></span>
+            <dv-locale-switcher></dv-locale-switcher>
+          </div>
+        </header>`;
+    }
+
+    this.querySelector(".banner-text-group").innerHTML = `
+      <span class="banner-title">${escapeLayoutHtml(this.getText("heading"))}</span>
+      <span class="banner-dot"></span>
+      <span class="banner-vendor-row">
+        ${escapeLayoutHtml(this.getText("tagline"))}
+        ${badges.map((badge) => `<span class="vendor-badge">${escapeLayoutHtml(badge)}</span>`).join("")}
+      </span>`;
+    this.querySelector(".banner-note").textContent = this.getText("note");
+  }
+}
+
+/********************************************************************
+ * Page modules: mounted on load and after app shell navigations
+ ********************************************************************/
+const DV_PAGE_READY_EVENT = "dv:page-ready";
+
+/**
+ * Runs mount() once the page content is in the DOM: on
+ * DOMContentLoaded, then each time the app shell (app-shell.js) swaps
+ * a page in. A module the shell loads late only gets the shell's
+ * event, so it never mounts twice.
+ */
+function onDemandVoxPageReady(mount) {
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", mount);
+  document.addEventListener(DV_PAGE_READY_EVENT, mount);
+}
+
+/********************************************************************
+ * Registration + controller: window.DemandVox.layout
+ ********************************************************************/
+if (!customElements.get("dv-sidebar")) customElements.define("dv-sidebar", DemandVoxSidebarElement);
+if (!customElements.get("dv-banner")) customElements.define("dv-banner", DemandVoxBannerElement);
+
+window.DemandVox.layout = {
+  nav: DV_LAYOUT_NAV,
+  updateActiveRoute(pathname = window.location.pathname) {
+    document.querySelectorAll("dv-sidebar").forEach((el) => el.updateActiveRoute(pathname));
+  },
+};
@@ -0,0 +1,286 @@
+/********************************************************************
+ * DemandVox logging
+ * ------------------------------------------------------------------
+ * Namespaced, levelled logger behind dvLog / dvWarn / dvError.
+ * Load it right after config.js: every other script logs through it.
+ *
+ * Namespaces come from the usual message prefix:
+ *   dvLog("[delphi-resize] mode change", ...)   → ns "delphi-resize"
+ *
+ * Three outputs, each with its own threshold:
+ * - console:  config.logLevel (debug on preview/local, error in
+ *             production), overridable per namespace at runtime
+ * - buffer:   in-memory ring buffer (config.logBufferSize entries) of
+ *             everything that reached the console plus every warning
+ *             and error, exportable as JSON
+ * - remote:   entries >= config.logRemoteLevel, batched to
+ *             config.logCollectorUrl with navigator.sendBeacon, for a
+ *             sampled share of sessions (config.logSampleRate), with
+ *             PII scrubbed first
+ *
+ * Runtime control (DevTools, any environment):
+ *   DemandVox.log.setLevel("delphi-bridge", "debug")   // one namespace
+ *   DemandVox.log.setLevel("*", "warn")                // default
+ *   DemandVox.log.resetLevels()
+ *   DemandVox.log.export()                             // ring buffer JSON
+ *
+ * Level overrides are persisted in localStorage so they survive the
+ * reload you usually need to reproduce a bug.
+ ********************************************************************/
+if (!window.DemandVox?.config) {
+  throw new Error("[log] assets/js/config.js must be loaded before logger.js");
+}
+
+const DV_LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DV_LOG_LEVELS_STORAGE_KEY = "dv:log-levels";
+
+// Remote batching
+const DV_LOG_BATCH_SIZE = 20;
+const DV_LOG_FLUSH_INTERVAL_MS = 10000;
+
+// Hard cap per page session, so a broken loop can't flood the collector
+const DV_LOG_REMOTE_MAX_ENTRIES = 100;
+
+/********************************************************************
+ * PII scrubbing
+ * ------------------------------------------------------------------
+ * Applied to every string that leaves the browser. Visitors type free
+ * text into the embed (and ?q= deep links carry it in the URL), so we
+ * drop query strings/fragments and mask anything that looks like an
+ * email, a phone number or a long number.
+ ********************************************************************/
+const DV_LOG_SCRUBBERS = [
+  [/\b(https?:\/\/[^\s?#"']+)[?#][^\s"']*/gi, "$1"],
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, "[email]"],
+  [/\+?\d[\d\s().-]{7,}\d/g, "[number]"],
+];
+
+function scrubDemandVoxLogString(value) {
+  return DV_LOG_SCRUBBERS.reduce((str, [pattern, replacement]) => str.replace(pattern, replacement), value);
+}
+
+/**
+ * Log arguments may be DOM nodes, errors or cyclic objects: turn them
+ * into plain JSON-safe values (bounded depth) before buffering.
+ */
+function serializeDemandVoxLogValue(value, depth = 0) {
+  if (value === null || value === undefined) return value ?? null;
+  if (typeof value === "string") return value.length > 1000 ? value.slice(0, 1000) + "…" : value;
+  if (typeof value === "number" || typeof value === "boolean") return value;
+
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack?.split("\n").slice(0, 5).join("\n") };
+  }
+
+  // Elements of any realm (the iframe has its own Element)
+  if (typeof value === "object" && value.nodeType === 1 && typeof value.tagName === "string") {
+    return `<${value.tagName.toLowerCase()}${value.id ? "#" + value.id : ""}>`;
+  }
+
+  if (typeof value === "function") return `[function ${value.name || "anonymous"}]`;
+  if (depth >= 3) return "[…]";
+
+  if (Array.isArray(value)) return value.slice(0, 20).map((item) => serializeDemandVoxLogValue(item, depth + 1));
+
+  if (typeof value === "object") {
+    const out = {};
+    for (const [key, item] of Object.entries(value).slice(0, 30)) {
+      out[key] = serializeDemandVoxLogValue(item, depth + 1);
+    }
+    return out;
+  }
+
+  return String(value);
+}
+
+function scrubDemandVoxLogValue(value) {
+  if (typeof value === "string") return scrubDemandVoxLogString(value);
+  if (Array.isArray(value)) return value.map(scrubDemandVoxLogValue);
+
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [key, item] of Object.entries(value)) out[key] = scrubDemandVoxLogValue(item);
+    return out;
+  }
+
+  return value;
+}
+
+/********************************************************************
+ * Logger
+ ********************************************************************/
+function createDemandVoxLogger(config) {
+  const defaultLevel = window.__DV_DEBUG__ ? "debug" : config.logLevel;
+
+  // namespace → level; "*" is the default
+  let levels = { "*": defaultLevel, ...readStoredLevels() };
+
+  const buffer = [];
+  const remoteQueue = [];
+  let remoteSent = 0;
+  let flushTimer = null;
+
+  // Sampling is per page session: a sampled session reports everything
+  const remoteEnabled = Boolean(config.logCollectorUrl) && Math.random() < config.logSampleRate;
+  const sessionId = Math.random().toString(36).slice(2, 10);
+
+  function readStoredLevels() {
+    try {
+      return JSON.parse(localStorage.getItem(DV_LOG_LEVELS_STORAGE_KEY) || "{}") || {};
+    } catch {
+      return {};
+    }
+  }
+
+  function storeLevels() {
+    try {
+      const { "*": _, ...overrides } = levels;
+      if (levels["*"] !== defaultLevel) overrides["*"] = levels["*"];
+
+      if (Object.keys(overrides).length) localStorage.setItem(DV_LOG_LEVELS_STORAGE_KEY, JSON.stringify(overrides));
+      else localStorage.removeItem(DV_LOG_LEVELS_STORAGE_KEY);
+    } catch {
+      // storage unavailable (private mode, sandboxed iframe)
+    }
+  }
+
+  function getLevel(ns) {
+    return levels[ns] || levels["*"] || defaultLevel;
+  }
+
+  function parseArgs(args) {
+    const [first, ...rest] = args;
+    const match = typeof first === "string" ? first.match(/^\[([\w-]+)\]\s*/) : null;
+
+    if (!match) return { ns: "app", message: typeof first === "string" ? first : "", data: typeof first === "string" ? rest : args };
+    return { ns: match[1], message: first.slice(match[0].length), data: rest };
+  }
+
+  function pushBuffer(entry) {
+    buffer.push(entry);
+    if (buffer.length > config.logBufferSize) buffer.shift();
+  }
+
+  function queueRemote(entry) {
+    if (!remoteEnabled || remoteSent + remoteQueue.length >= DV_LOG_REMOTE_MAX_ENTRIES) return;
+
+    remoteQueue.push({ ...entry, message: scrubDemandVoxLogString(entry.message), data: scrubDemandVoxLogValue(entry.data) });
+
+    if (remoteQueue.length >= DV_LOG_BATCH_SIZE) flush();
+    else if (!flushTimer) flushTimer = setTimeout(flush, DV_LOG_FLUSH_INTERVAL_MS);
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!remoteQueue.length) return;
+
+    const entries = remoteQueue.splice(0);
+    remoteSent += entries.length;
+
+    const body = JSON.stringify({
+      sessionId,
+      env: window.DemandVox.env?.name || config.env,
+      page: scrubDemandVoxLogString(window.location.origin + window.location.pathname),
+      userAgent: navigator.userAgent,
+      sentAt: new Date().toISOString(),
+      entries,
+    });
+
+    try {
+      const blob = new Blob([body], { type: "application/json" });
+      if (navigator.sendBeacon?.(config.logCollectorUrl, blob)) return;
+
+      // Beacon refused (payload too large / unavailable): best effort
+      fetch(config.logCollectorUrl, { method: "POST", body, keepalive: true, headers: { "Content-Type": "application/json" } }).catch(() => {});
+    } catch {
+      // never let reporting break the page
+    }
+  }
+
+  function write(level, args) {
+    const { ns, message, data } = parseArgs(args);
+    const toConsole = DV_LOG_LEVELS[level] >= DV_LOG_LEVELS[getLevel(ns)];
+    const important = DV_LOG_LEVELS[level] >= DV_LOG_LEVELS.warn;
+
+    if (toConsole) {
+      const method = level === "debug" ? "log" : level;
+      console[method](...args);
+    }
+
+    if (!toConsole && !important) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ns,
+      message,
+      data: data.map((value) => serializeDemandVoxLogValue(value)),
+    };
+
+    pushBuffer(entry);
+    if (DV_LOG_LEVELS[level] >= DV_LOG_LEVELS[config.logRemoteLevel]) queueRemote(entry);
+  }
+
+  // Last chance to send what's queued
+  window.addEventListener("pagehide", flush);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flush();
+  });
+
+  return {
+    levels: Object.keys(DV_LOG_LEVELS),
+
+    debug: (...args) => write("debug", args),
+    info: (...args) => write("info", args),
+    warn: (...args) => write("warn", args),
+    error: (...args) => write("error", args),
+
+    isEnabled: (ns, level = "debug") => DV_LOG_LEVELS[level] >= DV_LOG_LEVELS[getLevel(ns)],
+
+    setLevel(ns, level) {
+      if (!DV_LOG_LEVELS[level]) {
+        console.warn(`[log] Unknown level "${level}" (${Object.keys(DV_LOG_LEVELS).join(", ")})`);
+        return;
+      }
+      levels = { ...levels, [ns]: level };
+      storeLevels();
+    },
+
+    getLevels: () => ({ ...levels }),
+
+    resetLevels() {
+      levels = { "*": defaultLevel };
+      storeLevels();
+    },
+
+    getEntries: () => buffer.map((entry) => ({ ...entry })),
+    export: () => JSON.stringify({ exportedAt: new Date().toISOString(), sessionId, entries: buffer }, null, 2),
+    clear: () => buffer.splice(0),
+
+    flush,
+    isReporting: () => remoteEnabled,
+  };
+}
+
+window.DemandVox.log = createDemandVoxLogger(window.DemandVox.config);
+
+/**
+ * Shorthands used everywhere (keep the "[namespace] message" form):
+ *   dvLog("[feature] message", extra)
+ *   dvWarn("[feature] warning", extra)
+ *   dvError("[feature] error", extra)
+ */
+function dvLog(...args) {
+  window.DemandVox.log.debug(...args);
+}
+function dvInfo(...args) {
+  window.DemandVox.log.info(...args);
+}
+function dvWarn(...args) {
+  window.DemandVox.log.warn(...args);
+}
+function dvError(...args) {
+  window.DemandVox.log.error(...args);
+}
@@ -1,22 +1,305 @@
+/********************************************************************
+ * Sidebar navigation (all pages)
+ * ------------------------------------------------------------------
+ * Desktop (> 768px): the ← button collapses the rail
+ * (body.sidebar-collapsed, see main.css), the hamburger brings it
+ * back; a collapsed rail is inert.
+ * Mobile: the sidebar is an off-canvas drawer (body.sidebar-open,
+ * see main.css) driven like a modal disclosure:
+ *
+ * - hamburger: aria-expanded / aria-controls kept in sync
+ * - closed drawer is inert (its links are out of the Tab order)
+ * - open: focus moves into the drawer, Tab / Shift+Tab stay inside,
+ *   the page behind is inert
+ * - closes on Escape, the ← button, a click outside or a nav link
+ *   tap; focus goes back to the hamburger
+ * - swipe right from the left edge opens, swipe left closes
+ * - prefers-reduced-motion: no slide (main.css); a drawer restored
+ *   open on page load never slides in
+ *
+ * Kept in localStorage across pages, separately: the desktop rail
+ * collapsed / expanded, and the mobile drawer open / closed. A nav
+ * link tap closes the drawer first, so only a drawer left open by
+ * other navigation (back / forward, a link in the page) comes back
+ * open.
+ *
+ * Controller: window.DemandVox.sidebar { open, close, toggle, isOpen }
+ * acts on the drawer on mobile and on the rail on desktop
+ ********************************************************************/
+const DV_SIDEBAR_STORAGE_KEY = 'dv:sidebar:open';
+const DV_SIDEBAR_COLLAPSED_KEY = 'dv:sidebar:collapsed';
+const DV_SIDEBAR_MOBILE_QUERY = '(max-width: 768px)';
+
+// Swipes: start within EDGE px of the left edge to open, travel at
+// least DISTANCE px, and more horizontally than vertically
+const DV_SIDEBAR_SWIPE_EDGE_PX = 24;
+const DV_SIDEBAR_SWIPE_DISTANCE_PX = 60;
+
+const DV_SIDEBAR_FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function readSidebarState(key) {
+  try {
+    return localStorage.getItem(key) === '1';
+  } catch (e) {
+    return false;
+  }
+}
+
+function writeSidebarState(key, on) {
+  try {
+    localStorage.setItem(key, on ? '1' : '0');
+  } catch (e) {
+    dvWarn('[sidebar] Could not persist to localStorage', e);
+  }
+}
+
 document.addEventListener('DOMContentLoaded', function () {
   const toggle = document.querySelector('.mobile-menu-toggle');
   const closeBtn = document.querySelector('.sidebar-close');
+  const sidebar = document.querySelector('.sidebar');
+  const main = document.querySelector('.main');
+
+  if (!sidebar) {
+    window.DemandVox.sidebar = null;
+    return;
+  }
+
+  const mobileQuery = window.matchMedia(DV_SIDEBAR_MOBILE_QUERY);
+
+  let isOpen = false;
+  let isCollapsed = readSidebarState(DV_SIDEBAR_COLLAPSED_KEY);
+  let returnFocusTo = null;
+  let swipe = null;
+
+  if (!sidebar.id) sidebar.id = 'dv-sidebar';
+  if (toggle) toggle.setAttribute('aria-controls', sidebar.id);
+  if (closeBtn) closeBtn.setAttribute('aria-controls', sidebar.id);
+
+  function isDrawer() {
+    return mobileQuery.matches;
+  }
+
+  function isDrawerOpen() {
+    return isOpen && isDrawer();
+  }
+
+  // Visible ones only (the ← button is display:none on a closed drawer)
+  function getFocusable() {
+    return Array.from(sidebar.querySelectorAll(DV_SIDEBAR_FOCUSABLE)).filter(function (el) {
+      return el.offsetParent !== null;
+    });
+  }
+
+  // Reflects isOpen / isCollapsed on the DOM; the drawer-only attributes are removed on desktop
+  function syncSidebar() {
+    const drawer = isDrawer();
+    const open = isDrawerOpen();
+    const collapsed = isCollapsed && !drawer;
+    const expanded = drawer ? open : !collapsed;
+
+    document.body.classList.toggle('sidebar-open', open);
+    document.body.classList.toggle('sidebar-collapsed', collapsed);
+    if (toggle) toggle.setAttribute('aria-expanded', String(expanded));
+    if (closeBtn) closeBtn.setAttribute('aria-expanded', String(expanded));
+
+    sidebar.inert = !expanded;
+    if (main) main.inert = open;
+
+    if (drawer) {
+      sidebar.setAttribute('role', 'dialog');
+      sidebar.setAttribute('aria-modal', String(open));
+    } else {
+      sidebar.removeAttribute('role');
+      sidebar.removeAttribute('aria-modal');
+    }
+  }
+
+  // Desktop rail; the clicked button gets hidden, focus goes to the other one
+  function setRailCollapsed(collapsed) {
+    if (isCollapsed === collapsed) return;
+
+    const hadFocus = sidebar.contains(document.activeElement) || document.activeElement === toggle;
+    isCollapsed = collapsed;
+    writeSidebarState(DV_SIDEBAR_COLLAPSED_KEY, collapsed);
+    syncSidebar();
+
+    const target = collapsed ? toggle : closeBtn;
+    if (hadFocus && target) target.focus({ preventScroll: true });
+    dvLog(collapsed ? '[sidebar] collapse' : '[sidebar] expand');
+  }
 
   function openSidebar() {
-    document.body.classList.add('sidebar-open');
+    if (!isDrawer()) {
+      setRailCollapsed(false);
+      return;
+    }
+    if (isDrawerOpen()) return;
+
+    isOpen = true;
+    returnFocusTo = document.activeElement instanceof HTMLElement ? document.activeElement : toggle;
+    writeSidebarState(DV_SIDEBAR_STORAGE_KEY, true);
+    syncSidebar();
+
+    const target = sidebar.querySelector('.nav-icon-button.is-active') || getFocusable()[0];
+    if (target) target.focus({ preventScroll: true });
+    dvLog('[sidebar] open');
   }
 
-  function closeSidebar() {
-    document.body.classList.remove('sidebar-open');
+  function closeSidebar(restoreFocus) {
+    if (!isDrawer()) {
+      setRailCollapsed(true);
+      return;
+    }
+    if (!isOpen) return;
+
+    isOpen = false;
+    writeSidebarState(DV_SIDEBAR_STORAGE_KEY, false);
+    syncSidebar();
+
+    // The hamburger is display:none while open, focus it once it's back
+    if (restoreFocus !== false && isDrawer()) {
+      const canReturn = returnFocusTo && document.contains(returnFocusTo) && !sidebar.contains(returnFocusTo);
+      const target = canReturn ? returnFocusTo : toggle;
+      if (target) target.focus({ preventScroll: true });
+    }
+    returnFocusTo = null;
+    dvLog('[sidebar] close');
+  }
+
+  function toggleSidebar() {
+    if (!isDrawer()) setRailCollapsed(!isCollapsed);
+    else if (isOpen) closeSidebar();
+    else openSidebar();
   }
 
+  function isSidebarOpen() {
+    return isDrawer() ? isOpen : !isCollapsed;
+  }
+
+  /********************************************************************
+   * Keyboard: Escape + focus trap
+   ********************************************************************/
+  document.addEventListener('keydown', function (e) {
+    if (!isDrawerOpen()) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeSidebar();
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusable = getFocusable();
+    if (!focusable.length) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (!sidebar.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  });
+
+  /********************************************************************
+   * Pointer: buttons, outside click, nav links
+   ********************************************************************/
   if (toggle) {
-    toggle.addEventListener('click', function () {
-      document.body.classList.toggle('sidebar-open');
-    });
+    toggle.addEventListener('click', toggleSidebar);
   }
 
   if (closeBtn) {
-    closeBtn.addEventListener('click', closeSidebar);
+    closeBtn.addEventListener('click', function () {
+      closeSidebar();
+    });
   }
+
+  document.addEventListener('pointerdown', function (e) {
+    if (!isDrawerOpen() || sidebar.contains(e.target) || (toggle && toggle.contains(e.target))) return;
+    closeSidebar(false);
+  });
+
+  // Tapping a link navigates: close first so the next page starts closed
+  sidebar.addEventListener('click', function (e) {
+    if (isDrawerOpen() && e.target.closest('a[href]')) closeSidebar(false);
+  });
+
+  /********************************************************************
+   * Touch: swipe to open (from the left edge) / to close
+   ********************************************************************/
+  document.addEventListener(
+    'touchstart',
+    function (e) {
+      if (!isDrawer() || e.touches.length !== 1) return;
+
+      const touch = e.touches[0];
+      if (!isDrawerOpen() && touch.clientX > DV_SIDEBAR_SWIPE_EDGE_PX) return;
+
+      swipe = { x: touch.clientX, y: touch.clientY, opening: !isDrawerOpen() };
+    },
+    { passive: true }
+  );
+
+  document.addEventListener(
+    'touchend',
+    function (e) {
+      if (!swipe) return;
+
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - swipe.x;
+      const dy = touch.clientY - swipe.y;
+      const opening = swipe.opening;
+      swipe = null;
+
+      if (Math.abs(dx) < DV_SIDEBAR_SWIPE_DISTANCE_PX || Math.abs(dx) < Math.abs(dy)) return;
+
+      if (opening && dx > 0) openSidebar();
+      else if (!opening && dx < 0) closeSidebar();
+    },
+    { passive: true }
+  );
+
+  document.addEventListener(
+    'touchcancel',
+    function () {
+      swipe = null;
+    },
+    { passive: true }
+  );
+
+  /********************************************************************
+   * Breakpoint changes + restored state
+   ********************************************************************/
+  // Crossing the breakpoint: the rail / drawer attributes follow, each
+  // keeps its own state for when it comes back
+  if (mobileQuery.addEventListener) mobileQuery.addEventListener('change', syncSidebar);
+
+  // Restored open drawer: shown in place, without the slide-in
+  isOpen = readSidebarState(DV_SIDEBAR_STORAGE_KEY) && isDrawer();
+  if (isOpen) {
+    document.body.classList.add('sidebar-no-transition');
+    requestAnimationFrame(function () {
+      requestAnimationFrame(function () {
+        document.body.classList.remove('sidebar-no-transition');
+      });
+    });
+  }
+  syncSidebar();
+
+  window.DemandVox.sidebar = {
+    open: openSidebar,
+    close: function () {
+      closeSidebar();
+    },
+    toggle: toggleSidebar,
+    isOpen: isSidebarOpen,
+  };
 });
@@ -0,0 +1,507 @@
+/********************************************************************
+ * Demand-gen calculators (tools.html)
+ * ------------------------------------------------------------------
+ * Each calculator is declared in DV_TOOL_CALCULATORS:
+ *   { id, title, description, fields: [field], compute(values) → [result],
+ *     summarize(values, results) → string (optional, for the chat) }
+ *
+ *   field:  { name, label, unit: "$" | "%" | null, default, min, max,
+ *             integer, type: "text", optional, group }
+ *           (percentages are typed 0-100 and given to compute() as
+ *           0-1; an empty optional field is null)
+ *   result: { label, value, format, highlight }
+ *           (format: currency | percent | number | multiple | text;
+ *           value null = not computable, shown as "—")
+ *
+ * Every calculator gets, for free:
+ * - validation (required, min / max, integers), inline errors
+ * - URL state: inputs that differ from the defaults are written as
+ *   ?<calculator>.<field>=value, so a link reproduces the results
+ * - CSV export of inputs + results
+ * - "Discuss these numbers with the assistant": a summary handed to
+ *   the Delphi chat (see chat-handoff.js)
+ *
+ * Requires config.js + logger.js + layout.js + chat-handoff.js
+ * (loaded before this file).
+ ********************************************************************/
+const DV_TOOLS_ROOT_ID = "tools";
+const DV_TOOLS_URL_DEBOUNCE_MS = 300;
+
+const DV_TOOL_FORMATS = {
+  currency: (value) =>
+    new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", maximumFractionDigits: Math.abs(value) >= 100 ? 0 : 2 }).format(value),
+  percent: (value) => `${new Intl.NumberFormat("en-US", { maximumFractionDigits: 1 }).format(value * 100)}%`,
+  number: (value) => new Intl.NumberFormat("en-US", { maximumFractionDigits: 1 }).format(value),
+  multiple: (value) => `${new Intl.NumberFormat("en-US", { maximumFractionDigits: 1 }).format(value)}×`,
+  text: (value) => String(value),
+};
+
+// null when the denominator is 0 (shown as "—")
+function divideToolValues(a, b) {
+  return b ? a / b : null;
+}
+
+/********************************************************************
+ * Calculators
+ ********************************************************************/
+/**
+ * Quotes of the "quotes" calculator with a price, leads and accept
+ * rate, with the cost per accepted lead; the cheapest one has best.
+ */
+function getToolQuotes(values) {
+  const quotes = ["A", "B", "C"]
+    .map((quote) => ({
+      name: values[`name${quote}`] || `Vendor ${quote}`,
+      price: values[`price${quote}`],
+      leads: values[`leads${quote}`],
+      acceptRate: values[`accept${quote}`],
+    }))
+    .filter((quote) => quote.price !== null && quote.leads !== null && quote.acceptRate !== null)
+    .map((quote) => {
+      const accepted = quote.leads * quote.acceptRate;
+      return { ...quote, accepted, costPerAccepted: divideToolValues(quote.price, accepted), best: false };
+    });
+
+  const priced = quotes.filter((quote) => quote.costPerAccepted !== null);
+  if (priced.length) priced.reduce((a, b) => (b.costPerAccepted < a.costPerAccepted ? b : a)).best = true;
+
+  return quotes;
+}
+
+const DV_TOOL_CALCULATORS = [
+  {
+    id: "cpl",
+    title: "Cost per lead & per opportunity",
+    description: "What a campaign really costs once leads go through qualification.",
+    fields: [
+      { name: "spend", label: "Campaign spend", unit: "$", default: 10000, min: 0 },
+      { name: "leads", label: "Leads delivered", default: 250, min: 1, integer: true },
+      { name: "mqlRate", label: "Lead → MQL", unit: "%", default: 40, min: 0, max: 100 },
+      { name: "oppRate", label: "MQL → opportunity", unit: "%", default: 25, min: 0, max: 100 },
+    ],
+    compute({ spend, leads, mqlRate, oppRate }) {
+      const mqls = leads * mqlRate;
+      const opportunities = mqls * oppRate;
+
+      return [
+        { label: "Cost per lead", value: divideToolValues(spend, leads), format: "currency" },
+        { label: "MQLs", value: mqls, format: "number" },
+        { label: "Cost per MQL", value: divideToolValues(spend, mqls), format: "currency" },
+        { label: "Opportunities", value: opportunities, format: "number" },
+        { label: "Cost per opportunity", value: divideToolValues(spend, opportunities), format: "currency", highlight: true },
+      ];
+    },
+  },
+  {
+    id: "roi",
+    title: "Pipeline & ROI projection",
+    description: "From leads to revenue with your funnel conversion rates.",
+    fields: [
+      { name: "spend", label: "Program spend", unit: "$", default: 25000, min: 0 },
+      { name: "leads", label: "Leads", default: 500, min: 0, integer: true },
+      { name: "mqlRate", label: "Lead → MQL", unit: "%", default: 35, min: 0, max: 100 },
+      { name: "oppRate", label: "MQL → opportunity", unit: "%", default: 20, min: 0, max: 100 },
+      { name: "winRate", label: "Opportunity → won", unit: "%", default: 25, min: 0, max: 100 },
+      { name: "dealSize", label: "Average deal size", unit: "$", default: 30000, min: 0 },
+    ],
+    compute({ spend, leads, mqlRate, oppRate, winRate, dealSize }) {
+      const opportunities = leads * mqlRate * oppRate;
+      const pipeline = opportunities * dealSize;
+      const deals = opportunities * winRate;
+      const revenue = deals * dealSize;
+
+      return [
+        { label: "Opportunities", value: opportunities, format: "number" },
+        { label: "Pipeline", value: pipeline, format: "currency" },
+        { label: "Pipeline / spend", value: divideToolValues(pipeline, spend), format: "multiple" },
+        { label: "Deals won", value: deals, format: "number" },
+        { label: "Revenue", value: revenue, format: "currency" },
+        { label: "Cost per deal", value: divideToolValues(spend, deals), format: "currency" },
+        { label: "ROI", value: divideToolValues(revenue - spend, spend), format: "percent", highlight: true },
+      ];
+    },
+  },
+  {
+    id: "quotes",
+    title: "Compare vendor quotes",
+    description: "Same budget, different promises: compare what each accepted lead really costs.",
+    fields: ["A", "B", "C"].flatMap((quote) => {
+      const optional = quote === "C";
+      return [
+        { name: `name${quote}`, label: "Vendor", type: "text", default: optional ? "" : `Vendor ${quote}`, optional, group: `Quote ${quote}` },
+        { name: `price${quote}`, label: "Price", unit: "$", default: optional ? null : quote === "A" ? 15000 : 12000, min: 0, optional, group: `Quote ${quote}` },
+        { name: `leads${quote}`, label: "Leads promised", default: optional ? null : quote === "A" ? 300 : 280, min: 1, integer: true, optional, group: `Quote ${quote}` },
+        { name: `accept${quote}`, label: "Accepted after QA", unit: "%", default: optional ? null : quote === "A" ? 90 : 75, min: 0, max: 100, optional, group: `Quote ${quote}` },
+      ];
+    }),
+    compute(values) {
+      const quotes = getToolQuotes(values);
+      const best = quotes.find((quote) => quote.best);
+
+      return [
+        ...quotes.map((quote) => ({ label: `${quote.name}: accepted leads`, value: quote.accepted, format: "number" })),
+        ...quotes.map((quote) => ({
+          label: `${quote.name}: cost per accepted lead`,
+          value: quote.costPerAccepted,
+          format: "currency",
+          highlight: quote.best,
+        })),
+        { label: "Best value", value: best ? best.name : null, format: "text", highlight: true },
+      ];
+    },
+    // One line per quote: the generic summary is too long for the chat
+    summarize(values) {
+      const quotes = getToolQuotes(values).map((quote) => {
+        const cost = quote.costPerAccepted === null ? "no accepted leads" : `${DV_TOOL_FORMATS.currency(quote.costPerAccepted)} per accepted lead`;
+        return `${quote.name}: ${DV_TOOL_FORMATS.currency(quote.price)} for ${quote.leads} leads, ${DV_TOOL_FORMATS.percent(quote.acceptRate)} accepted → ${cost}`;
+      });
+
+      return `I'm comparing vendor quotes. ${quotes.join("; ")}. Which one would you pick, and what should I ask each vendor?`;
+    },
+  },
+];
+
+/********************************************************************
+ * Validation + URL state
+ ********************************************************************/
+/**
+ * Returns { value, error }: value is a number (percent as 0-1), a
+ * string for text fields, or null for an empty optional field.
+ */
+function parseToolField(field, raw) {
+  const text = String(raw ?? "").trim();
+
+  if (field.type === "text") return { value: text || null, error: null };
+
+  if (!text) return field.optional ? { value: null, error: null } : { value: null, error: "Required" };
+
+  const number = Number(text);
+  if (!Number.isFinite(number)) return { value: null, error: "Enter a number" };
+  if (field.integer && !Number.isInteger(number)) return { value: null, error: "Enter a whole number" };
+  if (field.min !== undefined && number < field.min) return { value: null, error: `Must be at least ${field.min}` };
+  if (field.max !== undefined && number > field.max) return { value: null, error: `Must be at most ${field.max}` };
+
+  return { value: field.unit === "%" ? number / 100 : number, error: null };
+}
+
+function getToolParamName(calculator, field) {
+  return `${calculator.id}.${field.name}`;
+}
+
+function readToolInputsFromUrl(calculator, href = window.location.href) {
+  const params = new URL(href).searchParams;
+  const inputs = {};
+
+  for (const field of calculator.fields) {
+    const param = params.get(getToolParamName(calculator, field));
+    inputs[field.name] = param !== null ? param : field.default === null ? "" : String(field.default);
+  }
+  return inputs;
+}
+
+function formatToolResult(result) {
+  return result.value === null || result.value === undefined ? "—" : DV_TOOL_FORMATS[result.format](result.value);
+}
+
+function formatToolInput(field, raw) {
+  if (!String(raw).trim()) return "—";
+  if (field.unit === "$") return DV_TOOL_FORMATS.currency(Number(raw));
+  if (field.unit === "%") return `${raw}%`;
+  return String(raw);
+}
+
+/********************************************************************
+ * Export + hand-off
+ ********************************************************************/
+function escapeToolCsvValue(value) {
+  const str = String(value ?? "");
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function buildToolCsv(calculator, inputs, results) {
+  const rows = [["Calculator", "Section", "Label", "Value", "Unit"]];
+
+  for (const field of calculator.fields) {
+    const label = field.group ? `${field.group} ${field.label}` : field.label;
+    rows.push([calculator.title, "Input", label, inputs[field.name], field.unit || ""]);
+  }
+
+  for (const result of results) {
+    // Raw values (rounded): spreadsheets format them better than we do
+    let value = result.value ?? "";
+    if (typeof value === "number") value = result.format === "percent" ? Math.round(value * 1000) / 10 : Math.round(value * 100) / 100;
+
+    const unit = { currency: "USD", percent: "%", multiple: "x" }[result.format] || "";
+    rows.push([calculator.title, "Result", result.label, value, unit]);
+  }
+
+  return rows.map((row) => row.map(escapeToolCsvValue).join(",")).join("\r\n");
+}
+
+function downloadToolCsv(calculator, csv) {
+  const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `demandvox-${calculator.id}-${new Date().toISOString().slice(0, 10)}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Kept under the hand-off limit (500 characters) for the built-in calculators
+function buildToolChatSummary(calculator, inputs, results) {
+  if (calculator.summarize) {
+    const values = Object.fromEntries(calculator.fields.map((field) => [field.name, parseToolField(field, inputs[field.name]).value]));
+    return calculator.summarize(values, results);
+  }
+
+  const given = calculator.fields
+    .filter((field) => String(inputs[field.name]).trim())
+    .map((field) => `${field.label} ${formatToolInput(field, inputs[field.name])}`);
+
+  const computed = results.filter((result) => result.value !== null).map((result) => `${result.label} ${formatToolResult(result)}`);
+
+  return `My numbers from the "${calculator.title}" calculator: ${given.join(", ")}. Results: ${computed.join(", ")}. Are they realistic, and how could I improve them?`;
+}
+
+/********************************************************************
+ * Rendering
+ ********************************************************************/
+function createToolCalculator(calculator, onChange) {
+  let inputs = readToolInputsFromUrl(calculator);
+  let results = [];
+  let valid = false;
+
+  const el = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+
+  const section = el("section", "dv-tool");
+  section.id = `tool-${calculator.id}`;
+  section.setAttribute("aria-labelledby", `tool-${calculator.id}-title`);
+
+  const title = el("h2", "dv-tool-title", calculator.title);
+  title.id = `tool-${calculator.id}-title`;
+
+  const form = el("form", "dv-tool-form");
+  form.noValidate = true;
+  form.addEventListener("submit", (e) => e.preventDefault());
+
+  const resultList = el("dl", "dv-tool-results");
+  const resultStatus = el("p", "dv-tool-status");
+  resultStatus.setAttribute("role", "status");
+
+  const errors = {};
+  const groups = new Map();
+
+  for (const field of calculator.fields) {
+    const id = `tool-${calculator.id}-${field.name}`;
+
+    const wrapper = el("div", "dv-tool-field");
+    const label = el("label", null, field.label);
+    label.htmlFor = id;
+
+    const input = el("input");
+    input.id = id;
+    input.name = field.name;
+    input.value = inputs[field.name];
+    if (field.type === "text") {
+      input.type = "text";
+      input.placeholder = field.optional ? "Optional" : "";
+    } else {
+      input.type = "number";
+      input.inputMode = field.integer ? "numeric" : "decimal";
+      if (field.min !== undefined) input.min = field.min;
+      if (field.max !== undefined) input.max = field.max;
+      input.step = field.integer ? "1" : "any";
+      if (field.optional) input.placeholder = "Optional";
+    }
+
+    const error = el("span", "dv-tool-error");
+    error.id = `${id}-error`;
+    input.setAttribute("aria-describedby", error.id);
+    errors[field.name] = { input, error };
+
+    input.addEventListener("input", () => {
+      inputs = { ...inputs, [field.name]: input.value };
+      update();
+      onChange();
+    });
+
+    const control = el("div", "dv-tool-control");
+    if (field.unit === "$") control.appendChild(el("span", "dv-tool-unit", "$"));
+    control.appendChild(input);
+    if (field.unit === "%") control.appendChild(el("span", "dv-tool-unit", "%"));
+
+    wrapper.append(label, control, error);
+
+    if (!field.group) {
+      form.appendChild(wrapper);
+      continue;
+    }
+
+    if (!groups.has(field.group)) {
+      const fieldset = el("fieldset", "dv-tool-group");
+      fieldset.appendChild(el("legend", null, field.group));
+      groups.set(field.group, fieldset);
+      form.appendChild(fieldset);
+    }
+    groups.get(field.group).appendChild(wrapper);
+  }
+
+  const actions = el("div", "dv-tool-actions");
+  const button = (text, onClick, className = "dv-tool-button") => {
+    const node = el("button", className, text);
+    node.type = "button";
+    node.addEventListener("click", onClick);
+    actions.appendChild(node);
+    return node;
+  };
+
+  const copyButton = button("Copy link", () => {
+    const url = new URL(window.location.href);
+    url.hash = section.id;
+
+    // No clipboard (insecure context, old browser) or denied: hand the URL over in a prompt
+    const showLink = (reason) => {
+      dvWarn(`[tools] Clipboard unavailable (${reason}), showing the link instead`);
+      window.prompt("Copy this link:", url.toString());
+    };
+
+    if (!navigator.clipboard?.writeText) {
+      showLink("no Clipboard API");
+      return;
+    }
+
+    navigator.clipboard.writeText(url.toString()).then(
+      () => {
+        copyButton.textContent = "Link copied";
+        setTimeout(() => (copyButton.textContent = "Copy link"), 2000);
+      },
+      (err) => showLink(err?.name || "write rejected")
+    );
+  });
+  const csvButton = button("Download CSV", () => downloadToolCsv(calculator, buildToolCsv(calculator, inputs, results)));
+  const chatButton = button(
+    "Discuss these numbers with the assistant",
+    () => {
+      dvLog(`[tools] hand-off: ${calculator.id}`);
+      openDelphiChatWithQuestion(buildToolChatSummary(calculator, inputs, results));
+    },
+    "dv-tool-button is-primary"
+  );
+
+  section.append(title, el("p", "dv-tool-description", calculator.description), form, resultStatus, resultList, actions);
+
+  function update() {
+    const values = {};
+    valid = true;
+
+    for (const field of calculator.fields) {
+      const { value, error } = parseToolField(field, inputs[field.name]);
+      values[field.name] = value;
+
+      errors[field.name].error.textContent = error || "";
+      errors[field.name].input.setAttribute("aria-invalid", String(Boolean(error)));
+      if (error) valid = false;
+    }
+
+    results = valid ? calculator.compute(values) : [];
+
+    resultList.replaceChildren(
+      ...results.map((result) => {
+        const row = el("div", result.highlight ? "dv-tool-result is-highlight" : "dv-tool-result");
+        row.append(el("dt", null, result.label), el("dd", null, formatToolResult(result)));
+        return row;
+      })
+    );
+    resultStatus.textContent = valid ? "" : "Fix the highlighted fields to see the results.";
+
+    for (const node of [csvButton, chatButton]) node.disabled = !valid;
+  }
+
+  update();
+
+  return {
+    section,
+    getInputs: () => ({ ...inputs }),
+    getResults: () => results.map((result) => ({ ...result })),
+    isValid: () => valid,
+    setInputs(next) {
+      inputs = { ...inputs, ...next };
+      for (const [name, { input }] of Object.entries(errors)) input.value = inputs[name];
+      update();
+    },
+  };
+}
+
+/********************************************************************
+ * Page controller
+ ********************************************************************/
+function createToolsPage(root) {
+  const calculators = new Map();
+  let urlTimer = null;
+
+  // Only values that differ from the defaults, to keep links short
+  function writeUrl() {
+    // Left through the app shell meanwhile: the URL is another page's
+    if (!root.isConnected) return;
+
+    const url = new URL(window.location.href);
+
+    for (const calculator of DV_TOOL_CALCULATORS) {
+      const inputs = calculators.get(calculator.id).getInputs();
+
+      for (const field of calculator.fields) {
+        const param = getToolParamName(calculator, field);
+        const value = String(inputs[field.name]).trim();
+        const fallback = field.default === null ? "" : String(field.default);
+
+        if (value === fallback) url.searchParams.delete(param);
+        else url.searchParams.set(param, value);
+      }
+    }
+
+    history.replaceState(history.state, "", url.toString());
+  }
+
+  function scheduleUrlWrite() {
+    clearTimeout(urlTimer);
+    urlTimer = setTimeout(writeUrl, DV_TOOLS_URL_DEBOUNCE_MS);
+  }
+
+  for (const calculator of DV_TOOL_CALCULATORS) {
+    const instance = createToolCalculator(calculator, scheduleUrlWrite);
+    calculators.set(calculator.id, instance);
+    root.appendChild(instance.section);
+  }
+
+  // Back / Forward across shared links; removed once the app shell
+  // has navigated away from this page
+  function onPopState() {
+    if (!root.isConnected) {
+      window.removeEventListener("popstate", onPopState);
+      return;
+    }
+    for (const calculator of DV_TOOL_CALCULATORS) {
+      calculators.get(calculator.id).setInputs(readToolInputsFromUrl(calculator));
+    }
+  }
+  window.addEventListener("popstate", onPopState);
+
+  return {
+    get: (id) => calculators.get(id) || null,
+    list: () => DV_TOOL_CALCULATORS.map((calculator) => calculator.id),
+  };
+}
+
+onDemandVoxPageReady(() => {
+  const root = document.getElementById(DV_TOOLS_ROOT_ID);
+  if (!root) return;
+
+  window.DemandVox.tools = createToolsPage(root);
+});
@@ -0,0 +1,511 @@
+/********************************************************************
+ * Vendor directory (find-vendors.html)
+ * ------------------------------------------------------------------
+ * Client-side directory over config.vendorDataUrl (the same
+ * assets/data/vendors.json the assistant's vendor links use):
+ *
+ * - full-text search over name, aliases, summary, description and
+ *   service labels (every word must match; name hits rank first)
+ * - facets: service category, monthly budget, region, company size
+ *   (OR inside a facet, AND across facets, live counts)
+ * - sort: relevance, name, budget
+ * - detail view: ?vendor=<slug> (the URL config.vendorProfileUrl
+ *   points to, so links from chat answers land here)
+ * - "Ask about this vendor": opens the assistant in chat with a
+ *   question prefilled (see chat-handoff.js)
+ *
+ * The state lives in the URL so results can be shared and Back /
+ * Forward work:
+ *   ?q=intent&category=intent-data,abm-platform&budget=5k-10k&sort=name
+ *
+ * Page markup: #vendor-directory with #vendor-search, #vendor-sort,
+ * #vendor-facets, #vendor-count, #vendor-results and #vendor-detail.
+ *
+ * Requires config.js + logger.js + layout.js + chat-handoff.js
+ * (loaded before this file).
+ ********************************************************************/
+const DV_VENDOR_DIRECTORY_ID = "vendor-directory";
+
+const DV_VENDOR_SEARCH_DEBOUNCE_MS = 150;
+
+/**
+ * Facets, in display order. Options match the values used in
+ * vendors.json; budget options are ranges (USD per month) matched
+ * against each vendor's { min, max }.
+ */
+const DV_VENDOR_FACETS = [
+  {
+    key: "category",
+    label: "Service",
+    field: "categories",
+    options: [
+      { value: "intent-data", label: "Intent data" },
+      { value: "abm-platform", label: "ABM platform" },
+      { value: "abm-agency", label: "ABM agency" },
+      { value: "content-syndication", label: "Content syndication" },
+      { value: "lead-generation", label: "Lead generation" },
+      { value: "advertising", label: "B2B advertising" },
+      { value: "data-enrichment", label: "Data & enrichment" },
+    ],
+  },
+  {
+    key: "budget",
+    label: "Monthly budget",
+    options: [
+      { value: "under-5k", label: "Under $5k", min: 0, max: 5000 },
+      { value: "5k-10k", label: "$5k – $10k", min: 5000, max: 10000 },
+      { value: "10k-25k", label: "$10k – $25k", min: 10000, max: 25000 },
+      { value: "25k-plus", label: "$25k+", min: 25000, max: Infinity },
+    ],
+  },
+  {
+    key: "region",
+    label: "Region",
+    field: "regions",
+    options: [
+      { value: "na", label: "North America" },
+      { value: "emea", label: "EMEA" },
+      { value: "apac", label: "APAC" },
+      { value: "latam", label: "Latin America" },
+    ],
+  },
+  {
+    key: "size",
+    label: "Company size",
+    field: "companySizes",
+    options: [
+      { value: "smb", label: "SMB" },
+      { value: "mid-market", label: "Mid-market" },
+      { value: "enterprise", label: "Enterprise" },
+    ],
+  },
+];
+
+const DV_VENDOR_SORTS = {
+  relevance: { label: "Relevance" },
+  name: { label: "Name (A–Z)", compare: (a, b) => a.name.localeCompare(b.name) },
+  "budget-asc": { label: "Budget: low to high", compare: (a, b) => (a.budget?.min ?? Infinity) - (b.budget?.min ?? Infinity) },
+  "budget-desc": { label: "Budget: high to low", compare: (a, b) => (b.budget?.max ?? -Infinity) - (a.budget?.max ?? -Infinity) },
+};
+
+function getVendorFacetLabel(facetKey, value) {
+  const facet = DV_VENDOR_FACETS.find((f) => f.key === facetKey);
+  return facet?.options.find((option) => option.value === value)?.label || value;
+}
+
+function normalizeVendorSearchText(str) {
+  return String(str || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function formatVendorBudget(budget) {
+  if (!budget) return "Budget on request";
+
+  const format = (value) =>
+    new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", notation: "compact", maximumFractionDigits: 1 }).format(value);
+
+  return `${format(budget.min)} – ${format(budget.max)} / month`;
+}
+
+/********************************************************************
+ * Search + filters (pure: vendors in, vendors out)
+ ********************************************************************/
+/**
+ * 0 = no match. Every query word has to appear somewhere; words found
+ * in the name or an alias weigh more than words found in the copy.
+ */
+function scoreVendor(vendor, words) {
+  if (!words.length) return 1;
+
+  const name = normalizeVendorSearchText([vendor.name, ...(vendor.aliases || [])].join(" "));
+  const body = normalizeVendorSearchText(
+    [vendor.summary, vendor.description, ...(vendor.categories || []).map((c) => getVendorFacetLabel("category", c))].join(" ")
+  );
+
+  let score = 0;
+  for (const word of words) {
+    if (name.includes(word)) score += name.startsWith(word) ? 5 : 3;
+    else if (body.includes(word)) score += 1;
+    else return 0;
+  }
+  return score;
+}
+
+function vendorMatchesFacet(vendor, facet, values) {
+  if (!values.size) return true;
+
+  if (facet.key === "budget") {
+    if (!vendor.budget) return false;
+    return facet.options.some(
+      (option) => values.has(option.value) && vendor.budget.min < option.max && vendor.budget.max >= option.min
+    );
+  }
+
+  return (vendor[facet.field] || []).some((value) => values.has(value));
+}
+
+/**
+ * state: { query, filters: { [facetKey]: Set }, sort }
+ * skipFacet: ignore one facet (used for its own option counts)
+ */
+function filterVendors(vendors, state, skipFacet = null) {
+  const words = normalizeVendorSearchText(state.query).split(/\s+/).filter(Boolean);
+
+  return vendors
+    .map((vendor) => ({ vendor, score: scoreVendor(vendor, words) }))
+    .filter(({ vendor, score }) => {
+      if (!score) return false;
+      return DV_VENDOR_FACETS.every((facet) => facet.key === skipFacet || vendorMatchesFacet(vendor, facet, state.filters[facet.key]));
+    });
+}
+
+function sortVendors(results, sort) {
+  const compare = DV_VENDOR_SORTS[sort]?.compare;
+
+  return [...results].sort((a, b) => {
+    if (!compare) return b.score - a.score || a.vendor.name.localeCompare(b.vendor.name);
+    return compare(a.vendor, b.vendor);
+  });
+}
+
+/********************************************************************
+ * URL state
+ ********************************************************************/
+function readVendorDirectoryState(href = window.location.href) {
+  const params = new URL(href).searchParams;
+
+  const filters = {};
+  for (const facet of DV_VENDOR_FACETS) {
+    const known = new Set(facet.options.map((option) => option.value));
+    filters[facet.key] = new Set((params.get(facet.key) || "").split(",").filter((value) => known.has(value)));
+  }
+
+  const sort = params.get("sort");
+
+  return {
+    query: params.get("q") || "",
+    filters,
+    sort: DV_VENDOR_SORTS[sort] ? sort : "relevance",
+    vendor: params.get("vendor") || null,
+  };
+}
+
+function buildVendorDirectoryUrl(state) {
+  const url = new URL(window.location.href);
+  url.search = "";
+
+  if (state.vendor) {
+    url.searchParams.set("vendor", state.vendor);
+    return url.toString();
+  }
+
+  if (state.query.trim()) url.searchParams.set("q", state.query.trim());
+  for (const facet of DV_VENDOR_FACETS) {
+    const values = state.filters[facet.key];
+    if (values.size) url.searchParams.set(facet.key, [...values].join(","));
+  }
+  if (state.sort !== "relevance") url.searchParams.set("sort", state.sort);
+
+  return url.toString();
+}
+
+/********************************************************************
+ * Hand-off into chat
+ ********************************************************************/
+function getVendorQuestion(vendor) {
+  return `Tell me about ${vendor.name}: what are they best at, what does it typically cost, and what are good alternatives?`;
+}
+
+function askAboutVendor(vendor) {
+  dvLog(`[vendors] ask about ${vendor.slug}`);
+  openDelphiChatWithQuestion(getVendorQuestion(vendor));
+}
+
+/********************************************************************
+ * Controller
+ ********************************************************************/
+function createVendorDirectory(root) {
+  const els = {
+    search: root.querySelector("#vendor-search"),
+    sort: root.querySelector("#vendor-sort"),
+    facets: root.querySelector("#vendor-facets"),
+    count: root.querySelector("#vendor-count"),
+    results: root.querySelector("#vendor-results"),
+    detail: root.querySelector("#vendor-detail"),
+    browse: root.querySelector(".dv-vendor-browse"),
+  };
+
+  const pageTitle = document.title;
+
+  let vendors = [];
+  let state = readVendorDirectoryState();
+  let loadError = false;
+  let searchTimer = null;
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function askButton(vendor) {
+    const button = el("button", "dv-vendor-ask", "Ask about this vendor");
+    button.type = "button";
+    button.addEventListener("click", () => askAboutVendor(vendor));
+    return button;
+  }
+
+  function detailLink(vendor, className) {
+    const link = el("a", className, vendor.name);
+    link.href = buildVendorDirectoryUrl({ ...state, vendor: vendor.slug });
+    link.addEventListener("click", (e) => {
+      // Let modified clicks open a new tab
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+      e.preventDefault();
+      navigate({ ...state, vendor: vendor.slug }, "push");
+    });
+    return link;
+  }
+
+  function tagList(vendor) {
+    const list = el("ul", "dv-vendor-tags");
+    for (const category of vendor.categories || []) list.appendChild(el("li", null, getVendorFacetLabel("category", category)));
+    return list;
+  }
+
+  /******************************************************************
+   * Results
+   ******************************************************************/
+  function renderFacets() {
+    els.facets.replaceChildren();
+
+    for (const facet of DV_VENDOR_FACETS) {
+      const fieldset = el("fieldset", "dv-vendor-facet");
+      fieldset.appendChild(el("legend", null, facet.label));
+
+      // Counts if this option were ticked, given every other filter
+      const pool = filterVendors(vendors, state, facet.key).map(({ vendor }) => vendor);
+
+      for (const option of facet.options) {
+        const count = pool.filter((vendor) => vendorMatchesFacet(vendor, facet, new Set([option.value]))).length;
+
+        const label = el("label", "dv-vendor-option");
+        const input = el("input");
+        input.type = "checkbox";
+        input.name = facet.key;
+        input.value = option.value;
+        input.checked = state.filters[facet.key].has(option.value);
+        input.addEventListener("change", () => {
+          const values = new Set(state.filters[facet.key]);
+          if (input.checked) values.add(option.value);
+          else values.delete(option.value);
+
+          navigate({ ...state, filters: { ...state.filters, [facet.key]: values } });
+        });
+
+        label.append(input, el("span", null, option.label), el("span", "dv-vendor-option-count", String(count)));
+        if (!count && !input.checked) label.classList.add("is-empty");
+        fieldset.appendChild(label);
+      }
+
+      els.facets.appendChild(fieldset);
+    }
+  }
+
+  function renderCard(vendor) {
+    const card = el("article", "dv-vendor-card");
+
+    const title = el("h3", "dv-vendor-card-title");
+    title.appendChild(detailLink(vendor));
+
+    const meta = el("p", "dv-vendor-meta", formatVendorBudget(vendor.budget));
+    if (vendor.regions?.length) meta.textContent += ` · ${vendor.regions.map((r) => getVendorFacetLabel("region", r)).join(", ")}`;
+
+    const actions = el("div", "dv-vendor-actions");
+    actions.appendChild(askButton(vendor));
+
+    card.append(title, el("p", "dv-vendor-summary", vendor.summary || ""), tagList(vendor), meta, actions);
+    return card;
+  }
+
+  function renderResults() {
+    const results = sortVendors(filterVendors(vendors, state), state.sort);
+
+    els.results.replaceChildren(...results.map(({ vendor }) => renderCard(vendor)));
+
+    if (loadError) {
+      els.count.textContent = "The vendor list couldn't load. Please try again later.";
+    } else if (!results.length) {
+      els.count.textContent = "No vendor matches these filters.";
+    } else {
+      els.count.textContent = `${results.length} vendor${results.length > 1 ? "s" : ""}`;
+    }
+
+    renderFacets();
+  }
+
+  /******************************************************************
+   * Detail view
+   ******************************************************************/
+  function renderDetail() {
+    const vendor = vendors.find((v) => v.slug === state.vendor);
+    els.detail.replaceChildren();
+
+    const back = el("a", "dv-vendor-back", "← All vendors");
+    back.href = buildVendorDirectoryUrl({ ...state, vendor: null });
+    back.addEventListener("click", (e) => {
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+      e.preventDefault();
+      // Came from the list: go back to it (keeps its scroll position)
+      if (history.state?.dvVendorFromList) history.back();
+      else navigate({ ...state, vendor: null }, "push");
+    });
+    els.detail.appendChild(back);
+
+    if (!vendor) {
+      els.detail.appendChild(el("p", "dv-vendor-summary", loadError ? "The vendor list couldn't load." : "We don't know this vendor (yet)."));
+      document.title = pageTitle;
+      return;
+    }
+
+    const title = el("h2", "dv-vendor-detail-title", vendor.name);
+    title.tabIndex = -1;
+
+    const facts = el("dl", "dv-vendor-facts");
+    const fact = (label, value) => {
+      if (!value) return;
+      facts.append(el("dt", null, label), el("dd", null, value));
+    };
+    fact("Services", (vendor.categories || []).map((c) => getVendorFacetLabel("category", c)).join(", "));
+    fact("Typical budget", formatVendorBudget(vendor.budget));
+    fact("Regions", (vendor.regions || []).map((r) => getVendorFacetLabel("region", r)).join(", "));
+    fact("Company size", (vendor.companySizes || []).map((s) => getVendorFacetLabel("size", s)).join(", "));
+
+    const actions = el("div", "dv-vendor-actions");
+    actions.appendChild(askButton(vendor));
+
+    if (vendor.website) {
+      const website = el("a", "dv-vendor-website", "Visit website");
+      website.href = vendor.website;
+      website.target = "_blank";
+      website.rel = vendor.sponsored ? "noopener sponsored" : "noopener";
+      actions.appendChild(website);
+    }
+
+    els.detail.append(
+      title,
+      el("p", "dv-vendor-summary", vendor.summary || ""),
+      el("p", "dv-vendor-description", vendor.description || ""),
+      facts,
+      actions,
+      el("p", "dv-vendor-note", "Budgets are indicative and change often: confirm them with the vendor.")
+    );
+
+    document.title = `${vendor.name} | Demandvox`;
+    title.focus({ preventScroll: true });
+  }
+
+  /******************************************************************
+   * State
+   ******************************************************************/
+  function render() {
+    const inDetail = Boolean(state.vendor);
+
+    els.browse.hidden = inDetail;
+    els.detail.hidden = !inDetail;
+
+    if (inDetail) {
+      renderDetail();
+      return;
+    }
+
+    document.title = pageTitle;
+    if (els.search.value !== state.query) els.search.value = state.query;
+    els.sort.value = state.sort;
+    renderResults();
+  }
+
+  /**
+   * mode: "replace" (typing, filters) or "push" (opening / leaving a
+   * vendor, so Back returns to the list)
+   */
+  function navigate(next, mode = "replace") {
+    const fromList = !state.vendor && next.vendor;
+    state = next;
+
+    const url = buildVendorDirectoryUrl(state);
+    if (mode === "push") history.pushState({ dvVendorFromList: Boolean(fromList) }, "", url);
+    else history.replaceState(history.state, "", url);
+
+    render();
+    if (mode === "push" && !state.vendor) window.scrollTo(0, 0);
+  }
+
+  els.search.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => navigate({ ...state, query: els.search.value }), DV_VENDOR_SEARCH_DEBOUNCE_MS);
+  });
+
+  els.sort.replaceChildren(
+    ...Object.entries(DV_VENDOR_SORTS).map(([value, { label }]) => {
+      const option = el("option", null, label);
+      option.value = value;
+      return option;
+    })
+  );
+  els.sort.addEventListener("change", () => navigate({ ...state, sort: els.sort.value }));
+
+  // Removed once the app shell has navigated away from this page
+  function onPopState() {
+    if (!root.isConnected) {
+      window.removeEventListener("popstate", onPopState);
+      return;
+    }
+    state = readVendorDirectoryState();
+    render();
+  }
+  window.addEventListener("popstate", onPopState);
+
+  function load() {
+    return fetch(window.DemandVox.config.vendorDataUrl)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((list) => {
+        vendors = Array.isArray(list) ? list.filter((vendor) => vendor?.slug && vendor?.name) : [];
+        loadError = false;
+        dvLog(`[vendors] ${vendors.length} vendors loaded`);
+      })
+      .catch((e) => {
+        loadError = true;
+        dvError("[vendors] Vendor data unavailable", e);
+      })
+      .then(render);
+  }
+
+  root.setAttribute("aria-busy", "true");
+  load().then(() => root.removeAttribute("aria-busy"));
+
+  return {
+    getVendors: () => vendors.map((vendor) => ({ ...vendor })),
+    getState: () => ({ ...state, filters: Object.fromEntries(Object.entries(state.filters).map(([key, values]) => [key, [...values]])) }),
+    open: (slug) => navigate({ ...state, vendor: slug }, "push"),
+    ask(slug) {
+      const vendor = vendors.find((v) => v.slug === slug);
+      if (vendor) askAboutVendor(vendor);
+      else dvWarn(`[vendors] Unknown vendor "${slug}"`);
+    },
+    reload: load,
+  };
+}
+
+onDemandVoxPageReady(() => {
+  const root = document.getElementById(DV_VENDOR_DIRECTORY_ID);
+  if (!root) return;
+
+  window.DemandVox.vendors = createVendorDirectory(root);
+});
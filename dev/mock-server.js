@@ -0,0 +1,283 @@
+/********************************************************************
+ * Local mock server (no dependencies, Node 18+)
+ * ------------------------------------------------------------------
+ *   node dev/mock-server.js            # http://localhost:8787
+ *   PORT=9000 node dev/mock-server.js
+ *
+ * Serves the site from the repo root and a fake feedback API for the
+ * "rest" adapter of assets/js/feedback-board.js:
+ *
+ *   GET    /api/ideas                 → { ideas }
+ *   POST   /api/ideas                 { title, details, website } → { idea }
+ *   POST   /api/ideas/:id/votes       → { idea }   (one vote per X-DV-Voter)
+ *   DELETE /api/ideas/:id/votes       → { idea }
+ *   PATCH  /api/ideas/:id             { status } → { idea }  (moderation)
+ *
+ * and a stand-in collector for the "beacon" sink of
+ * assets/js/delphi-analytics.js:
+ *
+ *   POST   /api/analytics             { sessionId, events } → 204
+ *   GET    /api/analytics             → { events, funnel }  (sessions per step)
+ *
+ * Point the board at it with data-* on config.js (community.html):
+ *   <script src="assets/js/config.js"
+ *           data-feedback-adapter="rest"
+ *           data-feedback-api-url="http://localhost:8787/api"></script>
+ *
+ * Send analytics to it (same origin, so the beacon needs no CORS):
+ *   <script src="assets/js/config.js"
+ *           data-analytics-consent="granted"
+ *           data-analytics-sinks="console,beacon"
+ *           data-analytics-beacon-url="/api/analytics"></script>
+ *
+ * Data is in memory: restarting the server resets it. Like a real
+ * backend, it checks the honeypot and rate-limits submissions per IP
+ * again (the browser checks can be skipped by calling the API).
+ ********************************************************************/
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const PORT = Number(process.env.PORT) || 8787;
+const ROOT = path.resolve(__dirname, "..");
+
+const RATE_LIMIT = 5; // submissions per IP...
+const RATE_WINDOW_MS = 10 * 60 * 1000; // ...per window
+
+const TITLE_MAX_LENGTH = 120;
+const DETAILS_MAX_LENGTH = 1000;
+const BODY_MAX_BYTES = 16 * 1024;
+
+const STATUSES = ["open", "planned", "shipped"];
+
+// Same order as DELPHI_ANALYTICS_FUNNEL (delphi-analytics.js)
+const FUNNEL = ["embed_loaded", "overview_viewed", "chat_started", "message_sent", "call_started"];
+const ANALYTICS_MAX_EVENTS = 5000;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".ico": "image/x-icon",
+};
+
+/********************************************************************
+ * In-memory store
+ ********************************************************************/
+const ideas = [
+  {
+    id: "1",
+    title: "Compare two vendors side by side",
+    details: "Pick two vendors from the directory and see budget, regions and services next to each other.",
+    status: "planned",
+    votes: 0,
+    createdAt: "2025-01-20T10:00:00.000Z",
+  },
+  {
+    id: "2",
+    title: "Save a vendor shortlist",
+    details: "Keep the vendors the assistant recommends in a list I can share with my team.",
+    status: "open",
+    votes: 0,
+    createdAt: "2025-02-03T15:30:00.000Z",
+  },
+];
+
+// idea id → Set of voter ids
+const voters = new Map(ideas.map((idea) => [idea.id, new Set()]));
+
+// ip → submission timestamps
+const submissions = new Map();
+
+let nextId = ideas.length + 1;
+
+// Analytics events, oldest first (capped at ANALYTICS_MAX_EVENTS)
+const analyticsEvents = [];
+
+function toPublicIdea(idea) {
+  return { ...idea, votes: voters.get(idea.id).size };
+}
+
+// Sessions that reached each funnel step
+function getAnalyticsFunnel() {
+  const sessions = new Map();
+  for (const event of analyticsEvents) {
+    if (!sessions.has(event.sessionId)) sessions.set(event.sessionId, new Set());
+    sessions.get(event.sessionId).add(event.name);
+  }
+
+  return Object.fromEntries(FUNNEL.map((step) => [step, [...sessions.values()].filter((names) => names.has(step)).length]));
+}
+
+/********************************************************************
+ * HTTP helpers
+ ********************************************************************/
+function send(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-DV-Voter",
+  });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > BODY_MAX_BYTES) {
+        reject(new Error("body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function isRateLimited(ip, now = Date.now()) {
+  const recent = (submissions.get(ip) || []).filter((time) => now - time < RATE_WINDOW_MS);
+  submissions.set(ip, recent);
+  return recent.length >= RATE_LIMIT;
+}
+
+/********************************************************************
+ * API
+ ********************************************************************/
+async function handleApi(req, res, pathname) {
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  if (pathname === "/api/ideas" && req.method === "GET") {
+    return send(res, 200, { ideas: ideas.map(toPublicIdea) });
+  }
+
+  if (pathname === "/api/ideas" && req.method === "POST") {
+    const body = await readJsonBody(req);
+    const ip = req.socket.remoteAddress;
+
+    // Honeypot: answer like a success, store nothing
+    if (body.website) {
+      console.log(`[mock] honeypot filled from ${ip}, dropped`);
+      return send(res, 201, { idea: { id: "0", title: String(body.title || ""), details: "", status: "open", votes: 0, createdAt: new Date().toISOString() } });
+    }
+
+    const title = typeof body.title === "string" ? body.title.trim() : "";
+    const details = typeof body.details === "string" ? body.details.trim() : "";
+    if (!title || title.length > TITLE_MAX_LENGTH || details.length > DETAILS_MAX_LENGTH) {
+      return send(res, 400, { error: "invalid idea" });
+    }
+
+    if (isRateLimited(ip)) return send(res, 429, { error: "too many submissions" });
+    submissions.get(ip).push(Date.now());
+
+    const idea = { id: String(nextId++), title, details, status: "open", votes: 0, createdAt: new Date().toISOString() };
+    ideas.push(idea);
+    voters.set(idea.id, new Set());
+
+    console.log(`[mock] idea ${idea.id} created: ${title}`);
+    return send(res, 201, { idea: toPublicIdea(idea) });
+  }
+
+  if (pathname === "/api/analytics" && req.method === "POST") {
+    const body = await readJsonBody(req);
+    const events = Array.isArray(body.events) ? body.events.filter((event) => typeof event?.name === "string" && event.sessionId) : [];
+
+    analyticsEvents.push(...events);
+    analyticsEvents.splice(0, Math.max(0, analyticsEvents.length - ANALYTICS_MAX_EVENTS));
+
+    for (const event of events) console.log(`[mock] analytics ${event.sessionId} ${event.name}`, JSON.stringify(event.props || {}));
+    return send(res, 204);
+  }
+
+  if (pathname === "/api/analytics" && req.method === "GET") {
+    return send(res, 200, { events: analyticsEvents, funnel: getAnalyticsFunnel() });
+  }
+
+  const voteMatch = pathname.match(/^\/api\/ideas\/([^/]+)\/votes$/);
+  if (voteMatch && (req.method === "POST" || req.method === "DELETE")) {
+    const idea = ideas.find((i) => i.id === decodeURIComponent(voteMatch[1]));
+    if (!idea) return send(res, 404, { error: "unknown idea" });
+
+    const voter = req.headers["x-dv-voter"];
+    if (!voter) return send(res, 400, { error: "missing X-DV-Voter" });
+
+    if (req.method === "POST") voters.get(idea.id).add(voter);
+    else voters.get(idea.id).delete(voter);
+
+    return send(res, 200, { idea: toPublicIdea(idea) });
+  }
+
+  const ideaMatch = pathname.match(/^\/api\/ideas\/([^/]+)$/);
+  if (ideaMatch && req.method === "PATCH") {
+    const idea = ideas.find((i) => i.id === decodeURIComponent(ideaMatch[1]));
+    if (!idea) return send(res, 404, { error: "unknown idea" });
+
+    const body = await readJsonBody(req);
+    if (!STATUSES.includes(body.status)) return send(res, 400, { error: `status must be one of ${STATUSES.join(", ")}` });
+
+    idea.status = body.status;
+    return send(res, 200, { idea: toPublicIdea(idea) });
+  }
+
+  return send(res, 404, { error: "not found" });
+}
+
+/********************************************************************
+ * Static files (the site itself)
+ ********************************************************************/
+function serveStatic(req, res, pathname) {
+  const relative = decodeURIComponent(pathname === "/" ? "/index.html" : pathname);
+  const file = path.join(ROOT, relative);
+
+  // No escaping the repo root
+  if (!file.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.readFile(file, (err, content) => {
+    if (err) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Not found");
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": MIME_TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(content);
+  });
+}
+
+/********************************************************************
+ * Server
+ ********************************************************************/
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  if (pathname.startsWith("/api/")) {
+    handleApi(req, res, pathname).catch((e) => {
+      console.error("[mock]", e.message);
+      if (!res.headersSent) send(res, 400, { error: "bad request" });
+    });
+    return;
+  }
+
+  serveStatic(req, res, pathname);
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock] http://localhost:${PORT}  (site + /api/ideas + /api/analytics)`);
+});